@@ -0,0 +1,97 @@
+// In-memory stand-in for the parts of the Google Calendar API used by the
+// extension's sync, so it can be exercised offline. Enter
+// http://localhost:<port>/calendar/v3 as "Calendar API URL" in the extension's
+// Options; test/googleCalendarSync.test.js runs the sync against it.
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_GCAL_PORT || 3100;
+
+function createMockCalendarServer() {
+  const app = express();
+  const calendars = new Map();
+
+  app.use(cors());
+  app.use(express.json());
+
+  const newId = () => crypto.randomBytes(8).toString('hex');
+
+  const notFound = res => res.status(404).json({
+    error: { code: 404, message: 'Not Found' }
+  });
+
+  app.use((req, res, next) => {
+    if (!/^Bearer .+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ error: { code: 401, message: 'Login Required' } });
+    }
+    next();
+  });
+
+  app.get('/calendar/v3/users/me/calendarList', (req, res) => {
+    res.json({
+      items: Array.from(calendars.values()).map(({ id, summary, timeZone }) => ({
+        id, summary, timeZone, accessRole: 'owner'
+      }))
+    });
+  });
+
+  app.post('/calendar/v3/calendars', (req, res) => {
+    const calendar = {
+      id: `${newId()}@group.calendar.google.com`,
+      summary: req.body.summary,
+      timeZone: req.body.timeZone,
+      events: new Map()
+    };
+    calendars.set(calendar.id, calendar);
+    res.json({ id: calendar.id, summary: calendar.summary, timeZone: calendar.timeZone });
+  });
+
+  app.get('/calendar/v3/calendars/:calendarId', (req, res) => {
+    const calendar = calendars.get(req.params.calendarId);
+    if (!calendar) return notFound(res);
+    res.json({ id: calendar.id, summary: calendar.summary, timeZone: calendar.timeZone });
+  });
+
+  app.get('/calendar/v3/calendars/:calendarId/events', (req, res) => {
+    const calendar = calendars.get(req.params.calendarId);
+    if (!calendar) return notFound(res);
+    res.json({ items: Array.from(calendar.events.values()) });
+  });
+
+  app.post('/calendar/v3/calendars/:calendarId/events', (req, res) => {
+    const calendar = calendars.get(req.params.calendarId);
+    if (!calendar) return notFound(res);
+
+    const event = { ...req.body, id: newId() };
+    calendar.events.set(event.id, event);
+    res.json(event);
+  });
+
+  app.put('/calendar/v3/calendars/:calendarId/events/:eventId', (req, res) => {
+    const calendar = calendars.get(req.params.calendarId);
+    if (!calendar || !calendar.events.has(req.params.eventId)) return notFound(res);
+
+    const event = { ...req.body, id: req.params.eventId };
+    calendar.events.set(event.id, event);
+    res.json(event);
+  });
+
+  app.delete('/calendar/v3/calendars/:calendarId/events/:eventId', (req, res) => {
+    const calendar = calendars.get(req.params.calendarId);
+    if (!calendar || !calendar.events.delete(req.params.eventId)) {
+      return res.status(410).json({ error: { code: 410, message: 'Resource has been deleted' } });
+    }
+    res.status(204).end();
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockCalendarServer().listen(PORT, () => {
+    console.log(`Mock Google Calendar API running on http://localhost:${PORT}/calendar/v3`);
+  });
+}
+
+module.exports = createMockCalendarServer;
@@ -0,0 +1,219 @@
+// Stand-in for the Concordia Open Data endpoints used by courseService, so the
+// backend runs without an API key or network access. Point
+// CONCORDIA_API_BASE_URL at http://localhost:<port>, or set
+// USE_MOCK_OPENDATA=true to have server.js start it in-process.
+//
+// Responses come from fixtures/opendata: an exact recording of the request
+// under recorded/ if there is one, otherwise the sample rows of schedule.json
+// and descriptions.json filtered like the real API would. With
+// MOCK_OPENDATA_MODE=record, requests are forwarded to the real API (using
+// CONCORDIA_API_KEY) and the responses saved under recorded/ with the key
+// redacted.
+//
+// Latency, errors, hangs and rate limiting can be injected to exercise the
+// retry/backoff/circuit-breaker paths of services/openDataClient.js, from
+// MOCK_OPENDATA_* env vars at startup or at runtime:
+//   curl -X PUT localhost:3200/__faults -H 'Content-Type: application/json' -d '{"errorRate":0.5}'
+// GET /__stats counts the upstream calls received per path.
+const express = require('express');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.MOCK_OPENDATA_PORT || 3200;
+const FIXTURE_DIR = process.env.MOCK_OPENDATA_FIXTURES || path.join(__dirname, 'fixtures', 'opendata');
+const UPSTREAM_URL = process.env.MOCK_OPENDATA_UPSTREAM || 'https://opendata.concordia.ca/API/v1';
+
+const DEFAULT_FAULTS = {
+  latency: 0,        // ms added to every response
+  jitter: 0,         // up to this many extra ms, at random
+  errorRate: 0,      // share of requests answered with errorStatus
+  errorStatus: 503,
+  hangRate: 0,       // share of requests never answered (client timeout)
+  rateLimit: 0,      // requests allowed per rateWindow seconds, 0 for no limit
+  rateWindow: 60
+};
+
+const matches = (pattern, value) => pattern === '*' || pattern.toUpperCase() === String(value).toUpperCase();
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// One recording per request path: /course/schedule/filter/COMP/248/*/20252
+// is stored as recorded/course/schedule/filter/COMP_248_ANY_20252.json
+function getRecordingPath(fixtureDir, requestPath) {
+  const [, ...segments] = requestPath.split('/');
+  const endpoint = segments.slice(0, 3).join(path.sep);
+  const args = segments.slice(3).map(arg => decodeURIComponent(arg).replace(/\*/g, 'ANY').replace(/[^\w.-]/g, '-'));
+  return path.join(fixtureDir, 'recorded', endpoint, `${args.join('_') || 'index'}.json`);
+}
+
+// Whatever the API echoes back, the key must not end up in a fixture
+function redact(value, secret) {
+  const json = JSON.stringify(value);
+  return JSON.parse(secret ? json.split(secret).join('REDACTED') : json);
+}
+
+function createSampleRoutes(fixtureDir) {
+  const router = express.Router();
+  const scheduleRows = () => readJson(path.join(fixtureDir, 'schedule.json'));
+  const descriptions = () => readJson(path.join(fixtureDir, 'descriptions.json'));
+
+  // /course/schedule/filter/{subject}/{catalog}/{career}/{term}
+  router.get('/course/schedule/filter/:subject/:catalog/:career/:term', (req, res) => {
+    const { subject, catalog, term } = req.params;
+    const rows = scheduleRows()
+      .filter(row => matches(subject, row.subject) && matches(catalog, row.catalog))
+      .map(row => ({ ...row, termCode: term }));
+
+    if (!rows.length) return res.status(404).json({ message: 'No classes found' });
+    res.json(rows);
+  });
+
+  router.get('/course/description/filter/:subject/:catalog', (req, res) => {
+    const { subject, catalog } = req.params;
+    res.json(descriptions().filter(description => matches(subject, description.subject) && matches(catalog, description.catalog)));
+  });
+
+  router.get('/course/catalog/filter/:subject/:catalog/:career/:term', (req, res) => {
+    const { subject, catalog } = req.params;
+    res.json(descriptions()
+      .filter(description => matches(subject, description.subject) && matches(catalog, description.catalog))
+      .map(description => ({ courseCode: `${description.subject} ${description.catalog}`, credits: description.creditValue, ...description })));
+  });
+
+  return router;
+}
+
+function createMockOpenDataServer(initialFaults = {}, {
+  fixtureDir = FIXTURE_DIR,
+  mode = process.env.MOCK_OPENDATA_MODE || 'replay',
+  upstreamUrl = UPSTREAM_URL,
+  apiKey = process.env.CONCORDIA_API_KEY
+} = {}) {
+  const app = express();
+  const faults = { ...DEFAULT_FAULTS, ...initialFaults };
+  const stats = {};
+  let windowStart = Date.now();
+  let windowCount = 0;
+
+  if (mode === 'record' && !apiKey) {
+    throw new Error('MOCK_OPENDATA_MODE=record needs CONCORDIA_API_KEY to reach the real API');
+  }
+
+  app.use(express.json());
+
+  app.get('/__faults', (req, res) => res.json(faults));
+
+  app.put('/__faults', (req, res) => {
+    Object.keys(DEFAULT_FAULTS).forEach(name => {
+      if (typeof req.body[name] === 'number') faults[name] = req.body[name];
+    });
+    // New limits start a fresh window
+    windowStart = Date.now();
+    windowCount = 0;
+    res.json(faults);
+  });
+
+  app.get('/__stats', (req, res) => res.json(stats));
+
+  app.delete('/__stats', (req, res) => {
+    Object.keys(stats).forEach(key => delete stats[key]);
+    res.status(204).end();
+  });
+
+  app.use((req, res, next) => {
+    stats[req.path] = (stats[req.path] || 0) + 1;
+
+    if (faults.rateLimit > 0) {
+      if (Date.now() - windowStart >= faults.rateWindow * 1000) {
+        windowStart = Date.now();
+        windowCount = 0;
+      }
+      windowCount++;
+
+      const resetIn = Math.ceil((windowStart + faults.rateWindow * 1000 - Date.now()) / 1000);
+      res.set({
+        'X-RateLimit-Limit': String(faults.rateLimit),
+        'X-RateLimit-Remaining': String(Math.max(faults.rateLimit - windowCount, 0)),
+        'X-RateLimit-Reset': String(resetIn)
+      });
+
+      if (windowCount > faults.rateLimit) {
+        return res.set('Retry-After', String(resetIn)).status(429).json({ message: 'Too Many Requests' });
+      }
+    }
+
+    if (Math.random() < faults.hangRate) return;
+
+    setTimeout(() => {
+      if (Math.random() < faults.errorRate) {
+        return res.status(faults.errorStatus).json({ message: 'Injected failure' });
+      }
+      next();
+    }, faults.latency + Math.random() * faults.jitter);
+  });
+
+  // Record: forward with the real key and keep the (redacted) answer,
+  // including 404s so "course not offered" replays too
+  app.get('/course/*', async (req, res, next) => {
+    const recordingPath = getRecordingPath(fixtureDir, req.path);
+
+    if (mode !== 'record') {
+      if (!fs.existsSync(recordingPath)) return next();
+      const recording = readJson(recordingPath);
+      return res.status(recording.status).json(recording.data);
+    }
+
+    try {
+      const response = await axios.get(upstreamUrl + req.path, {
+        params: { key: apiKey },
+        timeout: 30000,
+        validateStatus: status => status < 500
+      });
+      const recording = {
+        path: req.path,
+        status: response.status,
+        recordedAt: new Date().toISOString(),
+        data: redact(response.data, apiKey)
+      };
+
+      fs.mkdirSync(path.dirname(recordingPath), { recursive: true });
+      fs.writeFileSync(recordingPath, JSON.stringify(recording, null, 2) + '\n');
+      console.log(`Recorded ${req.path} (${response.status})`);
+      res.status(response.status).json(recording.data);
+    } catch (error) {
+      console.error(`Recording ${req.path} failed:`, error.message);
+      res.status(error.response?.status || 502).json({ message: 'Upstream request failed' });
+    }
+  });
+
+  app.use(createSampleRoutes(fixtureDir));
+
+  return app;
+}
+
+function readFaultsFromEnv() {
+  return Object.fromEntries(Object.keys(DEFAULT_FAULTS)
+    .map(name => [name, process.env[`MOCK_OPENDATA_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`]])
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => [name, parseFloat(value)]));
+}
+
+// Used by server.js for USE_MOCK_OPENDATA; resolves with the base URL to call
+function startMockOpenDataServer(port = PORT) {
+  return new Promise((resolve, reject) => {
+    const server = createMockOpenDataServer(readFaultsFromEnv()).listen(port, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockOpenDataServer().then(url => {
+    console.log(`Mock Concordia Open Data API (${process.env.MOCK_OPENDATA_MODE || 'replay'} mode) running on ${url}`);
+  });
+}
+
+module.exports = createMockOpenDataServer;
+module.exports.startMockOpenDataServer = startMockOpenDataServer;
@@ -2,11 +2,25 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('rate-limiter-flexible');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 require('dotenv').config();
 
+// Offline development: Open Data requests go to mock/openDataServer.js, started below
+if (process.env.USE_MOCK_OPENDATA === 'true') {
+  process.env.CONCORDIA_API_BASE_URL = `http://127.0.0.1:${process.env.MOCK_OPENDATA_PORT || 3200}`;
+}
+
 const courseService = require('./services/courseService');
+const cacheService = require('./services/cacheService');
 const scheduleService = require('./services/scheduleService');
+const calendarService = require('./services/calendarService');
+const courseSearchService = require('./services/courseSearchService');
+const scheduleGeneratorService = require('./services/scheduleGeneratorService');
+const examService = require('./services/examService');
+const roomService = require('./services/roomService');
+const instructorService = require('./services/instructorService');
+const { InvalidCursorError } = require('./services/pagination');
+const { TERM_PATTERN, WEEKDAY_CODES } = require('../shared/scheduleModel');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -59,6 +73,22 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Responses built from cache entries past their TTL (Concordia API slow or
+// down) say so, with the age of the oldest data they contain.
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = payload => {
+    if (cacheService.isStale() && payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      res.set('Warning', '110 - "Response is Stale"');
+      return json({ ...payload, stale: true, staleSince: cacheService.getStaleSince() });
+    }
+    return json(payload);
+  };
+
+  cacheService.track(next);
+});
+
 const handleValidation = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -74,12 +104,13 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    upstream: courseService.client.getStatus()
   });
 });
 
 app.get('/api/courses/:term', [
-  param('term').isLength({ min: 4, max: 10 }).matches(/^\d{4}(1|2|4)$/),
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
   handleValidation
 ], async (req, res) => {
   try {
@@ -101,20 +132,73 @@ app.get('/api/courses/:term', [
   }
 });
 
+app.get('/api/courses/:term/search', [
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
+  query('subject').optional().matches(/^[A-Za-z]{2,4}$/),
+  query('catalog').optional().matches(/^\d{1,4}[A-Za-z]?$/),
+  query('q').optional().isString().isLength({ max: 100 }),
+  query('component').optional().isIn(['LEC', 'TUT', 'LAB', 'SEM', 'WOR', 'Lecture', 'Tutorial', 'Laboratory', 'Seminar', 'Workshop']),
+  query('days').optional().isString().isLength({ max: 60 }),
+  query('startAfter').optional().matches(/^\d{1,2}:\d{2}$/),
+  query('endBefore').optional().matches(/^\d{1,2}:\d{2}$/),
+  query('campus').optional().isIn(['SGW', 'LOY', 'sgw', 'loy']),
+  query('instructor').optional().isString().isLength({ max: 100 }),
+  query('credits').optional().isFloat({ min: 0, max: 12 }),
+  query('openSeats').optional().isIn(['true', 'false']),
+  query('sort').optional().isIn(['code', 'title', 'credits', 'seats']),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().isString().isLength({ max: 200 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { term } = req.params;
+    const result = await courseSearchService.search(term, req.query);
+    
+    res.json({
+      success: true,
+      data: result.data,
+      term,
+      count: result.data.length,
+      total: result.total,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: error.message
+      });
+    }
+    console.error('Error searching courses:', error);
+    res.status(500).json({
+      error: 'Failed to search courses',
+      message: error.message
+    });
+  }
+});
+
 app.post('/api/schedule/parse', [
   body('courseData').isArray().withMessage('Course data must be an array'),
   body('courseData.*.code').isString().isLength({ min: 1, max: 20 }),
   body('courseData.*.section').optional().isString().isLength({ max: 10 }),
+  body('courseData.*.components').optional().isArray({ max: 10 }),
+  body('courseData.*.components.*.section').isString().isLength({ min: 1, max: 10 }),
+  body('courseData.*.components.*.component').optional().isString().isLength({ max: 20 }),
+  body('courseData.*.components.*.classNumber').optional().isString().matches(/^\d{0,6}$/),
   handleValidation
 ], async (req, res) => {
   try {
     const { courseData } = req.body;
-    const schedule = await scheduleService.generateSchedule(courseData);
+    const { events, results } = await scheduleService.generateSchedule(courseData);
+    const conflicts = scheduleService.detectConflicts(events);
     
     res.json({
       success: true,
-      data: schedule,
-      count: schedule.length
+      data: events,
+      count: events.length,
+      conflicts,
+      results
     });
   } catch (error) {
     console.error('Error generating schedule:', error);
@@ -125,14 +209,124 @@ app.post('/api/schedule/parse', [
   }
 });
 
+app.post('/api/schedule/parse-text', [
+  body('text').isString().isLength({ min: 1, max: 20000 }).withMessage('Text must be between 1 and 20000 characters'),
+  body('term').optional({ values: 'falsy' }).matches(TERM_PATTERN),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { term, termAssumed, courses, unrecognized } = scheduleService.parseEnrolledCourses(req.body.text, req.body.term || null);
+    const { events, results } = courses.length
+      ? await scheduleService.generateSchedule(courses)
+      : { events: [], results: [] };
+    const conflicts = scheduleService.detectConflicts(events);
+
+    res.json({
+      success: true,
+      term,
+      termAssumed,
+      data: events,
+      count: events.length,
+      conflicts,
+      results,
+      courses,
+      unrecognized
+    });
+  } catch (error) {
+    console.error('Error parsing pasted schedule:', error);
+    res.status(500).json({
+      error: 'Failed to parse pasted schedule',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/exams/parse', [
+  body('exams').isArray({ min: 1, max: 20 }).withMessage('Between 1 and 20 exams are required'),
+  body('exams.*.code').isString().isLength({ min: 1, max: 20 }),
+  body('exams.*.date').isISO8601({ strict: true }).withMessage('Exam dates must be YYYY-MM-DD'),
+  body('exams.*.startTime').matches(/^\d{1,2}:\d{2}$/),
+  body('exams.*.endTime').matches(/^\d{1,2}:\d{2}$/),
+  body('exams.*.term').optional({ values: 'falsy' }).matches(TERM_PATTERN),
+  body('exams.*.section').optional().isString().isLength({ max: 10 }),
+  body('exams.*.title').optional().isString().isLength({ max: 200 }),
+  body(['exams.*.building', 'exams.*.room']).optional().isString().isLength({ max: 50 }),
+  body('exams.*.location').optional().isString().isLength({ max: 100 }),
+  body(['exams.*.row', 'exams.*.seat']).optional().isString().isLength({ max: 10 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { exams, conflicts, rejected } = await examService.parseExams(req.body.exams);
+    
+    res.json({
+      success: true,
+      data: exams,
+      count: exams.length,
+      conflicts,
+      rejected
+    });
+  } catch (error) {
+    console.error('Error parsing exams:', error);
+    res.status(500).json({
+      error: 'Failed to parse exams',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/schedule/generate', [
+  body('term').matches(TERM_PATTERN),
+  body('courses').isArray({ min: 1, max: 8 }).withMessage('Between 1 and 8 courses are required'),
+  body('courses.*').isString().isLength({ min: 1, max: 20 }),
+  body('constraints').optional().isObject(),
+  body('constraints.notBefore').optional().matches(/^\d{1,2}:\d{2}$/),
+  body('constraints.notAfter').optional().matches(/^\d{1,2}:\d{2}$/),
+  body('constraints.daysOff').optional().isArray({ max: 7 }),
+  body('constraints.maxGap').optional().isInt({ min: 0, max: 720 }).toInt(),
+  body('constraints.campus').optional().isIn(['SGW', 'LOY', 'sgw', 'loy']),
+  body('constraints.instructors').optional().isArray({ max: 10 }),
+  body('constraints.instructors.*').isString().isLength({ min: 1, max: 100 }),
+  body('constraints.openSeatsOnly').optional().isBoolean({ strict: true }),
+  body('limit').optional().isInt({ min: 1, max: 50 }),
+  body('cursor').optional().isString().isLength({ max: 200 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const result = await scheduleGeneratorService.generate(req.body);
+    
+    res.json({
+      success: true,
+      data: result.data,
+      count: result.data.length,
+      total: result.total,
+      truncated: result.truncated,
+      unavailable: result.unavailable,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+    console.error('Error generating timetables:', error);
+    res.status(500).json({
+      error: 'Failed to generate timetables',
+      message: error.message
+    });
+  }
+});
+
 app.post('/api/schedule/csv', [
   body('scheduleData').isArray().withMessage('Schedule data must be an array'),
   body('semester').optional().isObject(),
+  body('exams').optional().isArray({ max: 20 }),
   handleValidation
 ], async (req, res) => {
   try {
-    const { scheduleData, semester } = req.body;
-    const csvContent = scheduleService.generateCSV(scheduleData, semester);
+    const { scheduleData, semester, exams } = req.body;
+    const csvContent = scheduleService.generateCSV(scheduleData, semester, exams);
     
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', 'attachment; filename="concordia-schedule.csv"');
@@ -146,9 +340,195 @@ app.post('/api/schedule/csv', [
   }
 });
 
+app.post('/api/schedule/ics', [
+  body('scheduleData').isArray().withMessage('Schedule data must be an array'),
+  body('semester').optional().isObject(),
+  body('exams').optional().isArray({ max: 20 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { scheduleData, semester, exams } = req.body;
+    const icsContent = scheduleService.generateICS(scheduleData, semester, exams);
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="concordia-schedule.ics"');
+    res.send(icsContent);
+  } catch (error) {
+    console.error('Error generating ICS:', error);
+    res.status(500).json({
+      error: 'Failed to generate ICS',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/seats/:term/:code', [
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
+  param('code').isString().isLength({ min: 1, max: 20 }),
+  query('section').optional().isString().isLength({ min: 1, max: 10 }),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { term, code } = req.params;
+    const { section } = req.query;
+    const seats = await courseService.getSeatCounts(code, term);
+    const data = section ? seats.filter(entry => entry.section === section) : seats;
+    
+    if (!data.length) {
+      return res.status(404).json({
+        error: section ? 'Section not found' : 'Course not found',
+        code,
+        term
+      });
+    }
+    
+    res.json({
+      success: true,
+      data,
+      term,
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching seat counts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch seat counts',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/rooms/free', [
+  query('term').optional().matches(TERM_PATTERN),
+  query('building').optional().matches(/^[A-Za-z]{1,2}$/),
+  query('campus').optional().isIn(['SGW', 'LOY', 'sgw', 'loy']),
+  query('date').optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD').bail()
+    .isISO8601({ strict: true }).withMessage('Not a valid date'),
+  // `day` can be left out when a `date` is given
+  query('day').if((day, { req }) => day !== undefined || !req.query.date)
+    .isIn(WEEKDAY_CODES).withMessage(`Day must be one of ${WEEKDAY_CODES.join(', ')}`)
+    .custom((day, { req }) => !req.query.date || WEEKDAY_CODES.indexOf(day) === roomService.weekdayOfDate(req.query.date))
+    .withMessage('The date is not on that day'),
+  query('from').matches(/^\d{1,2}:\d{2}$/),
+  query('to').matches(/^\d{1,2}:\d{2}$/)
+    .custom((to, { req }) => scheduleService.toMinutes(to) > scheduleService.toMinutes(req.query.from))
+    .withMessage('The window must end after it starts'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const term = req.query.term || scheduleService.getCurrentTerm();
+    const { building, campus, from, to } = req.query;
+    const date = req.query.date || null;
+    const day = req.query.day || WEEKDAY_CODES[roomService.weekdayOfDate(date)];
+    const rooms = await roomService.findFreeRooms(term, { building, campus, day: WEEKDAY_CODES.indexOf(day), from, to, date });
+    
+    res.json({
+      success: true,
+      data: rooms,
+      count: rooms.length,
+      term,
+      window: { day, date, from, to }
+    });
+  } catch (error) {
+    console.error('Error finding free rooms:', error);
+    res.status(500).json({
+      error: 'Failed to find free rooms',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/rooms/timeline', [
+  query('room').isString().isLength({ min: 2, max: 20 }),
+  query('term').optional().matches(TERM_PATTERN),
+  query('date').optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD').bail()
+    .isISO8601({ strict: true }).withMessage('Not a valid date'),
+  handleValidation
+], async (req, res) => {
+  try {
+    const term = req.query.term || scheduleService.getCurrentTerm();
+    const timeline = await roomService.getTimeline(term, req.query.room, req.query.date || null);
+    
+    if (!timeline) {
+      return res.status(404).json({
+        error: 'Room not found',
+        room: req.query.room,
+        term
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Error building room timeline:', error);
+    res.status(500).json({
+      error: 'Failed to build room timeline',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/instructors/:name/:term', [
+  param('name').isString().trim().isLength({ min: 2, max: 100 }),
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
+  handleValidation
+], async (req, res) => {
+  try {
+    const { name, term } = req.params;
+    const { instructors, sections } = await instructorService.findSections(term, name);
+    
+    if (!sections.length) {
+      return res.status(404).json({
+        error: 'Instructor not found',
+        name,
+        term
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: sections,
+      count: sections.length,
+      instructors,
+      term
+    });
+  } catch (error) {
+    console.error('Error fetching instructor sections:', error);
+    res.status(500).json({
+      error: 'Failed to fetch instructor sections',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/calendar/:term', [
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
+  handleValidation
+], (req, res) => {
+  try {
+    const { term } = req.params;
+    const calendar = calendarService.getCalendar(term);
+    
+    res.json({
+      success: true,
+      data: calendar,
+      term
+    });
+  } catch (error) {
+    console.error('Error loading academic calendar:', error);
+    res.status(500).json({
+      error: 'Failed to load academic calendar',
+      message: error.message
+    });
+  }
+});
+
 app.get('/api/course/:code/:term', [
   param('code').isString().isLength({ min: 1, max: 20 }),
-  param('term').isLength({ min: 4, max: 10 }).matches(/^\d{4}(1|2|4)$/),
+  param('term').isLength({ min: 4, max: 10 }).matches(TERM_PATTERN),
   handleValidation
 ], async (req, res) => {
   try {
@@ -191,10 +571,30 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Preloads the current term so the first searches after a deploy are not
+// cold; CACHE_WARM_SUBJECTS (e.g. "COMP,SOEN") also loads full course details.
+function warmCache() {
+  if (process.env.CACHE_WARM === 'false') return;
+
+  const term = scheduleService.getCurrentTerm();
+  const subjects = (process.env.CACHE_WARM_SUBJECTS || '').split(',').map(subject => subject.trim()).filter(Boolean);
+
+  courseService.warmCache(term, subjects)
+    .then(result => console.log(`Cache warmed for term ${result.term}: ${result.offerings} courses, ${result.courses} with details`))
+    .catch(error => console.warn('Cache warm-up failed:', error.message));
+}
+
 if (process.env.NODE_ENV !== 'test') {
+  if (process.env.USE_MOCK_OPENDATA === 'true') {
+    require('./mock/openDataServer').startMockOpenDataServer()
+      .then(url => console.log(`Using the mock Concordia Open Data API at ${url}`))
+      .catch(error => console.error('Mock Open Data API failed to start:', error.message));
+  }
+  
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`ConcordiaSync Backend running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
+    warmCache();
   });
 }
 
@@ -0,0 +1,112 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStore } = require('./cacheStores');
+
+// How long an entry is kept after it stops being fresh, to be served while it
+// is refreshed or while the Concordia API is failing.
+const DEFAULT_STALE_TTL = 24 * 3600;
+
+class CacheService {
+  constructor() {
+    this.driver = process.env.CACHE_DRIVER || 'memory';
+    this.store = createStore(this.driver, {
+      directory: process.env.CACHE_DIR,
+      url: process.env.REDIS_URL
+    });
+    this.staleTtl = parseInt(process.env.CACHE_STALE_TTL || DEFAULT_STALE_TTL, 10);
+    this.refreshing = new Map();
+    this.requests = new AsyncLocalStorage();
+  }
+
+  // Returns the cached value for `key` while it is younger than `ttl` seconds.
+  // An older entry is returned straight away and refreshed in the background,
+  // or, with `revalidate: 'wait'`, only when `fetcher` fails. Without an entry
+  // `fetcher` is awaited and its failure is the caller's.
+  async getOrFetch(key, ttl, fetcher, { revalidate = 'background' } = {}) {
+    const entry = await this.read(key);
+
+    if (entry && entry.freshUntil > Date.now()) {
+      return entry.value;
+    }
+
+    if (entry && revalidate === 'background') {
+      this.markStale(entry);
+      this.refresh(key, ttl, fetcher);
+      return entry.value;
+    }
+
+    let value;
+    try {
+      value = await fetcher();
+    } catch (error) {
+      if (!entry) throw error;
+
+      console.warn(`Upstream failed for ${key}, serving stale data:`, error.message);
+      this.markStale(entry);
+      return entry.value;
+    }
+
+    await this.write(key, value, ttl);
+    return value;
+  }
+
+  // At most one background refresh per key; on failure the stale entry stays
+  refresh(key, ttl, fetcher) {
+    if (this.refreshing.has(key)) return this.refreshing.get(key);
+
+    const pending = Promise.resolve()
+      .then(fetcher)
+      .then(value => this.write(key, value, ttl))
+      .catch(error => console.warn(`Cache refresh failed for ${key}, serving stale data:`, error.message))
+      .finally(() => this.refreshing.delete(key));
+
+    this.refreshing.set(key, pending);
+    return pending;
+  }
+
+  // Cache failures never fail a request, they only cost an upstream call
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error(`Cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async write(key, value, ttl) {
+    if (value === null || value === undefined) return;
+
+    const now = Date.now();
+    try {
+      await this.store.set(key, { value, storedAt: now, freshUntil: now + ttl * 1000 }, ttl + this.staleTtl);
+    } catch (error) {
+      console.error(`Cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  // Runs `callback` (an Express `next`) with its own record of whether any
+  // stale entry was served, read back through isStale() when responding.
+  track(callback) {
+    return this.requests.run({ stale: false, storedAt: null }, callback);
+  }
+
+  markStale(entry) {
+    const request = this.requests.getStore();
+    if (!request) return;
+
+    request.stale = true;
+    request.storedAt = Math.min(request.storedAt || entry.storedAt, entry.storedAt);
+  }
+
+  isStale() {
+    return this.requests.getStore()?.stale === true;
+  }
+
+  // Oldest stale entry served for the current request, as an ISO date
+  getStaleSince() {
+    const storedAt = this.requests.getStore()?.storedAt;
+    return storedAt ? new Date(storedAt).toISOString() : null;
+  }
+}
+
+module.exports = new CacheService();
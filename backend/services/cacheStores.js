@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const NodeCache = require('node-cache');
+
+// Every store takes and returns plain JSON-serialisable entries and drops
+// them after `ttl` seconds; freshness is decided by cacheService.
+
+class MemoryStore {
+  constructor() {
+    this.cache = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
+  }
+
+  async get(key) {
+    return this.cache.get(key) || null;
+  }
+
+  async set(key, entry, ttl) {
+    this.cache.set(key, entry, ttl);
+  }
+
+  async delete(key) {
+    this.cache.del(key);
+  }
+}
+
+// One JSON file per key, so the cache survives restarts and deploys that
+// keep the directory (e.g. a mounted volume).
+class FileStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  getPath(key) {
+    const name = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async get(key) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (stored.key !== key || stored.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return stored.entry;
+  }
+
+  // Written to a temporary file first so readers never see half a file; each
+  // write has its own, so concurrent writes of one key cannot rename it away
+  // from each other
+  async set(key, entry, ttl) {
+    const file = this.getPath(key);
+    const temporary = `${file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify({ key, expiresAt: Date.now() + ttl * 1000, entry }));
+    await fs.rename(temporary, file);
+  }
+
+  async delete(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+}
+
+// Any Redis-protocol server (Redis, Valkey, KeyDB, Upstash...). Commands fail
+// fast while disconnected instead of queueing, so a cache outage only costs
+// an upstream call.
+class RedisStore {
+  constructor(url, prefix = 'concordiasync:') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('CACHE_DRIVER=redis requires the optional "ioredis" package (npm install ioredis)');
+    }
+
+    this.prefix = prefix;
+    this.client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+    this.client.on('error', error => console.error('Redis cache error:', error.message));
+  }
+
+  async get(key) {
+    const stored = await this.client.get(this.prefix + key);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async set(key, entry, ttl) {
+    await this.client.set(this.prefix + key, JSON.stringify(entry), 'EX', Math.max(Math.ceil(ttl), 1));
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+function createStore(driver = 'memory', options = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options.directory || path.join(__dirname, '..', '.cache'));
+    case 'redis':
+      return new RedisStore(options.url || 'redis://127.0.0.1:6379');
+    default:
+      throw new Error(`Unknown CACHE_DRIVER "${driver}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  createStore
+};
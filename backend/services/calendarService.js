@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const scheduleModel = require('../../shared/scheduleModel');
+const academicCalendar = require('../../shared/academicCalendar');
+
+// Shipped with the extension too, so local-only exports skip the same holidays
+const CALENDAR_DIR = path.join(__dirname, '..', '..', 'shared', 'calendars');
+
+class CalendarService {
+  constructor() {
+    this.calendars = new Map();
+  }
+
+  getCalendar(term) {
+    if (this.calendars.has(term)) {
+      return this.calendars.get(term);
+    }
+
+    const calendar = academicCalendar.buildCalendar(term, part => this.loadCalendarFile(part));
+    this.calendars.set(term, calendar);
+
+    return calendar;
+  }
+
+  loadCalendarFile(term) {
+    const filePath = path.join(CALENDAR_DIR, `${term}.json`);
+
+    if (!scheduleModel.isValidTerm(term) || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,98 @@
+const courseService = require('./courseService');
+const scheduleService = require('./scheduleService');
+const scheduleModel = require('../../shared/scheduleModel');
+const { paginate } = require('./pagination');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTERS = {
+  code: (a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }),
+  title: (a, b) => a.title.localeCompare(b.title) || SORTERS.code(a, b),
+  credits: (a, b) => a.credits - b.credits || SORTERS.code(a, b),
+  seats: (a, b) => a.openSeats - b.openSeats || SORTERS.code(a, b)
+};
+
+class CourseSearchService {
+  // Filters apply per section; a course is returned with only the sections that
+  // match, and is left out when none do.
+  async search(term, query = {}) {
+    const filters = this.normalizeFilters(query);
+    const offerings = await courseService.getTermOfferings(term);
+
+    const results = offerings
+      .filter(course => this.matchesCourse(course, filters))
+      .map(course => {
+        const sections = course.sections.filter(section => this.matchesSection(section, filters));
+        return {
+          code: course.code,
+          title: course.title,
+          credits: course.credits,
+          term: course.term,
+          openSeats: sections.reduce((total, section) => total + this.getOpenSeats(section), 0),
+          sections
+        };
+      })
+      .filter(course => course.sections.length > 0);
+
+    const sorter = SORTERS[filters.sort];
+    results.sort(filters.order === 'desc' ? (a, b) => sorter(b, a) : sorter);
+
+    const { limit, ...criteria } = filters;
+    return paginate(results, { limit, cursor: query.cursor, criteria: { term, criteria } });
+  }
+
+  normalizeFilters(query) {
+    const limit = parseInt(query.limit || DEFAULT_LIMIT, 10);
+
+    return {
+      subject: query.subject ? query.subject.trim().toUpperCase() : null,
+      catalog: query.catalog ? query.catalog.trim().toUpperCase() : null,
+      keyword: query.q ? query.q.trim().toLowerCase() : null,
+      component: query.component ? courseService.normalizeClassType(query.component) : null,
+      days: query.days ? scheduleModel.parseWeekdays(query.days) : null,
+      startAfter: query.startAfter ? this.toMinutes(query.startAfter) : null,
+      endBefore: query.endBefore ? this.toMinutes(query.endBefore) : null,
+      campus: query.campus ? query.campus.trim().toUpperCase() : null,
+      instructor: query.instructor ? query.instructor.trim().toLowerCase() : null,
+      credits: query.credits !== undefined ? parseFloat(query.credits) : null,
+      openSeats: query.openSeats === 'true',
+      sort: SORTERS[query.sort] ? query.sort : 'code',
+      order: query.order === 'desc' ? 'desc' : 'asc',
+      limit: Math.min(Math.max(isNaN(limit) ? DEFAULT_LIMIT : limit, 1), MAX_LIMIT)
+    };
+  }
+
+  matchesCourse(course, filters) {
+    if (filters.subject && course.subject.toUpperCase() !== filters.subject) return false;
+    if (filters.catalog && !course.catalog.toUpperCase().startsWith(filters.catalog)) return false;
+    if (filters.keyword && !course.title.toLowerCase().includes(filters.keyword)) return false;
+    if (filters.credits !== null && course.credits !== filters.credits) return false;
+    return true;
+  }
+
+  // Days and time window must hold for every meeting of the section
+  matchesSection(section, filters) {
+    if (filters.component && section.type !== filters.component) return false;
+    if (filters.instructor && !section.instructor.toLowerCase().includes(filters.instructor)) return false;
+    if (filters.openSeats && this.getOpenSeats(section) <= 0) return false;
+
+    return section.schedule.every(meeting => {
+      if (filters.days && !meeting.days.every(day => filters.days.includes(day))) return false;
+      if (filters.startAfter !== null && this.toMinutes(meeting.startTime) < filters.startAfter) return false;
+      if (filters.endBefore !== null && this.toMinutes(meeting.endTime) > filters.endBefore) return false;
+      if (filters.campus && scheduleService.getCampus(meeting.location || section.location) !== filters.campus) return false;
+      return true;
+    });
+  }
+
+  getOpenSeats(section) {
+    return Math.max(section.capacity - section.enrolled, 0);
+  }
+
+  toMinutes(time) {
+    return scheduleService.toMinutes(time);
+  }
+}
+
+module.exports = new CourseSearchService();
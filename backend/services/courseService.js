@@ -1,51 +1,34 @@
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const { OpenDataClient } = require('./openDataClient');
+const cacheService = require('./cacheService');
+const scheduleModel = require('../../shared/scheduleModel');
 
-const cache = new NodeCache({ stdTTL: 3600 });
+// Shown for sections nobody is assigned to yet
+const TBA_INSTRUCTOR = 'TBA';
+// Placeholder names the feed uses instead of leaving the list empty
+const PLACEHOLDER_INSTRUCTOR_PATTERN = /^(tba|tbd|staff|to be announced|to be determined)$/i;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
 
 class CourseService {
   constructor() {
     this.apiKey = process.env.CONCORDIA_API_KEY;
     this.baseURL = process.env.CONCORDIA_API_BASE_URL || 'https://opendata.concordia.ca/API/v1';
-    this.client = axios.create({
+    this.client = new OpenDataClient({
       baseURL: this.baseURL,
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'ConcordiaSync/1.0.0',
-        'Accept': 'application/json'
-      }
+      timeout: parseInt(process.env.OPENDATA_TIMEOUT_MS || 10000, 10),
+      concurrency: parseInt(process.env.OPENDATA_CONCURRENCY || 4, 10),
+      retries: parseInt(process.env.OPENDATA_RETRIES || 2, 10)
     });
-
-    this.client.interceptors.response.use(
-      response => response,
-      error => {
-        console.error('Concordia API Error:', {
-          status: error.response?.status,
-          data: error.response?.data,
-          url: error.config?.url
-        });
-        throw error;
-      }
-    );
   }
 
   async getCoursesByTerm(term) {
-    const cacheKey = `courses_${term}`;
-    const cached = cache.get(cacheKey);
-    
-    if (cached) {
-      return cached;
-    }
-
     try {
-      const response = await this.client.get(`/course/catalog/filter/*/*/*/${term}`, {
-        params: { key: this.apiKey }
-      });
+      return await cacheService.getOrFetch(`courses_${term}`, 1800, async () => {
+        const response = await this.client.get(`/course/catalog/filter/*/*/*/${term}`, {
+          params: { key: this.apiKey }
+        });
 
-      const courses = this.processCourseData(response.data);
-      cache.set(cacheKey, courses, 1800);
-      
-      return courses;
+        return this.processCourseData(response.data);
+      });
     } catch (error) {
       if (error.code === 'ECONNABORTED') {
         throw new Error('Concordia API timeout - please try again');
@@ -54,50 +37,143 @@ class CourseService {
     }
   }
 
-  async getCourseDetails(courseCode, term) {
-    const cacheKey = `course_${courseCode}_${term}`;
-    const cached = cache.get(cacheKey);
-    
-    if (cached) {
-      return cached;
+  // Every section offered in a term, grouped by course, for search
+  async getTermOfferings(term) {
+    try {
+      return await cacheService.getOrFetch(`offerings_${term}`, 1800, async () => {
+        const response = await this.client.get(`/course/schedule/filter/*/*/*/${term}`, {
+          params: { key: this.apiKey }
+        });
+
+        const rowsByCourse = new Map();
+        (Array.isArray(response.data) ? response.data : []).forEach(item => {
+          const code = `${this.sanitizeString(item.subject)} ${this.sanitizeString(item.catalog)}`.trim();
+          if (!item.subject || !item.catalog) return;
+          if (!rowsByCourse.has(code)) rowsByCourse.set(code, []);
+          rowsByCourse.get(code).push(item);
+        });
+
+        return Array.from(rowsByCourse, ([code, rows]) => ({
+          code,
+          term,
+          subject: this.sanitizeString(rows[0].subject),
+          catalog: this.sanitizeString(rows[0].catalog),
+          title: this.sanitizeString(rows[0].courseTitle || ''),
+          credits: parseFloat(rows[0].classUnit || 0),
+          sections: this.processScheduleResponse(rows)
+        })).filter(course => course.sections.length > 0);
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        throw new Error('Concordia API timeout - please try again');
+      }
+      throw new Error(`Failed to fetch term offerings: ${error.message}`);
     }
+  }
 
+  // A course the API does not know is `null` and is not cached
+  async getCourseDetails(courseCode, term) {
     try {
-      const [subject, number] = courseCode.split(' ');
-      
-      const scheduleResponse = await this.client.get(`/course/schedule/filter/${subject}/${number}/*/${term}`, {
-        params: { key: this.apiKey }
-      });
+      return await cacheService.getOrFetch(`course_${courseCode}_${term}`, 1800, async () => {
+        const [subject, number] = courseCode.split(' ');
+        
+        const [scheduleResponse, descriptionResponse] = await Promise.all([
+          this.fetchCourseSchedule(courseCode, term).catch(error => {
+            if (error.response?.status === 404) {
+              return null;
+            }
+            throw error;
+          }),
+          this.client.get(`/course/description/filter/${subject}/${number}`, {
+            params: { key: this.apiKey }
+          }).catch(() => ({ data: [] }))
+        ]);
 
-      const descriptionResponse = await this.client.get(`/course/description/filter/${subject}/${number}`, {
-        params: { key: this.apiKey }
-      }).catch(() => ({ data: [] }));
+        if (!scheduleResponse) {
+          return null;
+        }
 
-      const courseDetails = this.combineCourseData(scheduleResponse.data, descriptionResponse.data, courseCode);
-      cache.set(cacheKey, courseDetails, 1800);
-      
-      return courseDetails;
+        return this.combineCourseData(scheduleResponse.data, descriptionResponse.data, courseCode, term);
+      });
     } catch (error) {
-      if (error.response?.status === 404) {
-        return null;
-      }
       throw new Error(`Failed to fetch course details: ${error.message}`);
     }
   }
   
-  combineCourseData(scheduleData, descriptionData, courseCode) {
+  fetchCourseSchedule(courseCode, term) {
+    const [subject, number] = courseCode.split(' ');
+    return this.client.get(`/course/schedule/filter/${subject}/${number}/*/${term}`, {
+      params: { key: this.apiKey }
+    });
+  }
+  
+  // Enrolment counts change by the minute during registration, so they are
+  // cached far more briefly than the rest of the course data, and old counts
+  // are only served when the API cannot be reached.
+  async getSeatCounts(courseCode, term) {
+    try {
+      return await cacheService.getOrFetch(`seats_${courseCode}_${term}`, 120, async () => {
+        let response;
+        try {
+          response = await this.fetchCourseSchedule(courseCode, term);
+        } catch (error) {
+          if (error.response?.status === 404) {
+            return [];
+          }
+          throw error;
+        }
+
+        return this.processScheduleResponse(response.data || []).map(section => ({
+          section: section.section,
+          type: section.type,
+          classNumber: section.classNumber,
+          capacity: section.capacity,
+          enrolled: section.enrolled,
+          waitlist: section.waitlist,
+          openSeats: Math.max(section.capacity - section.enrolled, 0)
+        }));
+      }, { revalidate: 'wait' });
+    } catch (error) {
+      throw new Error(`Failed to fetch seat counts: ${error.message}`);
+    }
+  }
+
+  // Loads a term's sections for every subject in one call, then full details
+  // (descriptions included) for each course of `subjects`, one at a time so
+  // warm-up never competes with real traffic for the API.
+  async warmCache(term, subjects = []) {
+    const offerings = await this.getTermOfferings(term);
+    const wanted = new Set(subjects.map(subject => subject.toUpperCase()));
+    const courses = offerings.filter(course => wanted.has(course.subject.toUpperCase()));
+
+    for (const course of courses) {
+      try {
+        await this.getCourseDetails(course.code, term);
+      } catch (error) {
+        console.warn(`Cache warm-up skipped ${course.code}:`, error.message);
+      }
+    }
+
+    return { term, offerings: offerings.length, courses: courses.length };
+  }
+
+  combineCourseData(scheduleData, descriptionData, courseCode, term) {
     if (!scheduleData || scheduleData.length === 0) {
       return null;
     }
 
     const description = descriptionData?.[0] || {};
-    const sections = this.processScheduleResponse(scheduleData);
+    const allSections = this.groupScheduleRows(scheduleData);
 
     return {
       code: courseCode,
+      term,
       title: this.sanitizeString(description.title || ''),
       credits: parseFloat(description.creditValue || 0),
-      sections: sections,
+      sections: this.linkSections(allSections.filter(section => section.schedule.length > 0)),
+      // Online or TBA sections: nothing to put on a calendar, but a student
+      // may be enrolled in one
+      unscheduledSections: allSections.filter(section => section.schedule.length === 0),
       description: this.sanitizeString(description.description || ''),
       prerequisites: this.sanitizeString(description.prerequisites || ''),
       department: this.sanitizeString(description.subject || courseCode.split(' ')[0])
@@ -105,6 +181,12 @@ class CourseService {
   }
   
   processScheduleResponse(scheduleData) {
+    const sections = this.groupScheduleRows(scheduleData).filter(section => section.schedule.length > 0);
+    return this.linkSections(sections);
+  }
+  
+  // One entry per section and component, with the meetings of all its rows
+  groupScheduleRows(scheduleData) {
     const sectionsMap = new Map();
     
     scheduleData.forEach(item => {
@@ -114,7 +196,11 @@ class CourseService {
         sectionsMap.set(sectionKey, {
           section: this.sanitizeString(item.section),
           type: this.normalizeClassType(item.componentCode),
-          instructor: this.sanitizeString(item.instructors?.[0]?.firstName + ' ' + item.instructors?.[0]?.lastName || ''),
+          component: this.sanitizeString(item.componentCode || ''),
+          classNumber: this.sanitizeString(String(item.classNumber || '')),
+          classAssociation: this.sanitizeString(String(item.classAssociation || '')),
+          instructor: TBA_INSTRUCTOR,
+          instructors: [],
           location: this.sanitizeString(item.locationCode || ''),
           schedule: [],
           capacity: parseInt(item.classCapacity || 0),
@@ -124,14 +210,18 @@ class CourseService {
       }
       
       const section = sectionsMap.get(sectionKey);
+      section.instructors = this.mergeInstructors(section.instructors, this.processInstructors(item.instructors));
+      section.instructor = this.formatInstructors(section.instructors);
       
-      if (item.modays || item.tuesdays || item.wednesdays || item.thursdays || item.fridays || item.saturdays || item.sundays) {
+      if (scheduleModel.OPEN_DATA_DAY_FIELDS.some(field => item[field])) {
         const meeting = {
           days: this.extractDaysFromSchedule(item),
           startTime: this.convertTimeFormat(item.classStartTime),
           endTime: this.convertTimeFormat(item.classEndTime),
           location: this.sanitizeString(item.locationCode || ''),
-          type: this.normalizeClassType(item.componentCode)
+          type: this.normalizeClassType(item.componentCode),
+          startDate: this.parseOpenDataDate(item.classStartDate),
+          endDate: this.parseOpenDataDate(item.classEndDate)
         };
         
         if (meeting.days.length > 0 && meeting.startTime && meeting.endTime) {
@@ -140,19 +230,86 @@ class CourseService {
       }
     });
     
-    return Array.from(sectionsMap.values()).filter(section => section.schedule.length > 0);
+    return Array.from(sectionsMap.values());
+  }
+  
+  // Every instructor listed on a schedule row, as { name, firstName, lastName,
+  // role, email }; `role` and `email` are empty when the feed leaves them out
+  processInstructors(instructors) {
+    return (Array.isArray(instructors) ? instructors : []).map(instructor => {
+      const firstName = this.sanitizeString(instructor?.firstName || '');
+      const lastName = this.sanitizeString(instructor?.lastName || '');
+      const email = this.sanitizeString(instructor?.email || instructor?.emailAddress || '');
+
+      return {
+        name: [firstName, lastName].filter(Boolean).join(' '),
+        firstName,
+        lastName,
+        role: this.sanitizeString(instructor?.role || instructor?.roleDescription || ''),
+        email: EMAIL_PATTERN.test(email) ? email : ''
+      };
+    }).filter(instructor => instructor.name && !PLACEHOLDER_INSTRUCTOR_PATTERN.test(instructor.name));
+  }
+
+  // A section spread over several rows (one per meeting) lists each person once
+  mergeInstructors(existing, added) {
+    const merged = [...existing];
+    added.forEach(instructor => {
+      const known = merged.find(other => other.name.toLowerCase() === instructor.name.toLowerCase());
+      if (!known) {
+        merged.push(instructor);
+      } else {
+        known.role = known.role || instructor.role;
+        known.email = known.email || instructor.email;
+      }
+    });
+    return merged;
+  }
+
+  // "Alex Martin, Sam Lee", or "TBA" when nobody is assigned
+  formatInstructors(instructors) {
+    return instructors.length ? instructors.map(instructor => instructor.name).join(', ') : TBA_INSTRUCTOR;
+  }
+
+  // Tutorials and labs belong to one lecture: the lecture with the same class
+  // association number, or else the lecture whose code prefixes theirs
+  // (tutorial "AAAB" under lecture "AA"). `parentSection` stays null for
+  // components that cannot be tied to a lecture.
+  linkSections(sections) {
+    const lectures = sections.filter(section => section.type === 'Lecture');
+    
+    sections.forEach(section => {
+      section.parentSection = null;
+      if (section.type === 'Lecture') return;
+      
+      const byAssociation = lectures.filter(lecture =>
+        section.classAssociation && lecture.classAssociation === section.classAssociation
+      );
+      const byPrefix = lectures
+        .filter(lecture => section.section.startsWith(lecture.section))
+        .sort((a, b) => b.section.length - a.section.length);
+      const parent = byAssociation.length === 1 ? byAssociation[0] : byPrefix[0];
+      
+      if (parent) section.parentSection = parent.section;
+    });
+    
+    return sections;
+  }
+  
+  // Open Data dates are DD/MM/YYYY; returns YYYY-MM-DD, or null when missing
+  parseOpenDataDate(value) {
+    if (!value || typeof value !== 'string') return null;
+    
+    const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (isoMatch) return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+    
+    const match = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
   }
   
   extractDaysFromSchedule(item) {
-    const days = [];
-    if (item.modays === 'Y') days.push(0);
-    if (item.tuesdays === 'Y') days.push(1);
-    if (item.wednesdays === 'Y') days.push(2);
-    if (item.thursdays === 'Y') days.push(3);
-    if (item.fridays === 'Y') days.push(4);
-    if (item.saturdays === 'Y') days.push(5);
-    if (item.sundays === 'Y') days.push(6);
-    return days;
+    return scheduleModel.weekdaysFromOpenData(item);
   }
   
   convertTimeFormat(timeStr) {
@@ -231,30 +388,7 @@ class CourseService {
   }
 
   parseDays(dayString) {
-    if (!dayString || typeof dayString !== 'string') return [];
-    
-    const dayMap = {
-      'M': 0, 'Mo': 0, 'Monday': 0,
-      'T': 1, 'Tu': 1, 'Tuesday': 1,
-      'W': 2, 'We': 2, 'Wednesday': 2,
-      'R': 3, 'Th': 3, 'Thursday': 3,
-      'F': 4, 'Fr': 4, 'Friday': 4,
-      'S': 5, 'Sa': 5, 'Saturday': 5,
-      'U': 6, 'Su': 6, 'Sunday': 6
-    };
-
-    const days = [];
-    const dayPattern = /(Mo|Tu|We|Th|Fr|Sa|Su|M|T|W|R|F|S|U|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)/gi;
-    let match;
-
-    while ((match = dayPattern.exec(dayString)) !== null) {
-      const dayNum = dayMap[match[1]];
-      if (dayNum !== undefined && !days.includes(dayNum)) {
-        days.push(dayNum);
-      }
-    }
-
-    return days.sort();
+    return scheduleModel.parseWeekdays(dayString);
   }
 
   normalizeClassType(type) {
@@ -0,0 +1,31 @@
+const courseService = require('./courseService');
+const examModel = require('../../shared/examModel');
+
+class ExamService {
+  // Normalizes the exams read off the portal's exam schedule page, fills in
+  // course titles the page left out and flags the exams students can request
+  // accommodations for.
+  async parseExams(entries) {
+    const { exams, conflicts, rejected } = examModel.parseExams(entries);
+    const titled = await Promise.all(exams.map(exam => this.addCourseTitle(exam)));
+
+    return { exams: titled, conflicts, rejected };
+  }
+
+  async addCourseTitle(exam) {
+    if (exam.title || !exam.term) return exam;
+
+    try {
+      const details = await courseService.getCourseDetails(exam.code, exam.term);
+      if (!details || !details.title) return exam;
+
+      const titled = { ...exam, title: details.title };
+      return { ...titled, ...examModel.describeExam(titled) };
+    } catch (error) {
+      console.warn(`Could not look up the title of ${exam.code}:`, error.message);
+      return exam;
+    }
+  }
+}
+
+module.exports = new ExamService();
@@ -0,0 +1,64 @@
+const courseService = require('./courseService');
+
+class InstructorService {
+  // Sections of a term taught by anyone whose name has every word of `name`
+  // as a whole word, in any order and ignoring case and accents: "martin",
+  // "Alex Martin" and "Martin, Alex" all find Alex Martin, but not Martinez.
+  async findSections(term, name) {
+    const words = this.getNameTokens(name);
+    const offerings = await courseService.getTermOfferings(term);
+    const instructors = new Map();
+    const sections = [];
+
+    const matchesName = instructor => {
+      const tokens = this.getNameTokens(instructor.name);
+      return words.length > 0 && words.every(word => tokens.includes(word));
+    };
+
+    offerings.forEach(course => course.sections.forEach(section => {
+      const teaching = (section.instructors || []).filter(matchesName);
+      if (!teaching.length) return;
+
+      teaching.forEach(instructor => {
+        const known = instructors.get(instructor.name);
+        if (!known || (!known.email && instructor.email)) {
+          instructors.set(instructor.name, { name: instructor.name, email: instructor.email });
+        }
+      });
+
+      sections.push({
+        code: course.code,
+        title: course.title,
+        section: section.section,
+        type: section.type,
+        classNumber: section.classNumber,
+        roles: teaching.map(({ name, role }) => ({ name, role })),
+        instructors: section.instructors,
+        schedule: section.schedule
+      });
+    }));
+
+    sections.sort((a, b) =>
+      a.code.localeCompare(b.code, undefined, { numeric: true }) || a.section.localeCompare(b.section)
+    );
+
+    return { instructors: Array.from(instructors.values()), sections };
+  }
+
+  normalizeName(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9'-]+/g, ' ')
+      .trim();
+  }
+
+  // Parts of a compound name count as words too: "Jean-Pierre Côté" is
+  // found by "jean", "pierre", "cote" and "jean-pierre"
+  getNameTokens(name) {
+    return this.normalizeName(name).split(/[\s-]+/).filter(Boolean);
+  }
+}
+
+module.exports = new InstructorService();
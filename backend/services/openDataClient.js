@@ -0,0 +1,225 @@
+const axios = require('axios');
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super('Concordia API is unavailable, not retrying until ' + new Date(retryAt).toISOString());
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GET-only client for Concordia Open Data. Identical concurrent requests share
+// one call, at most `concurrency` calls are in flight, 5xx/429/network errors
+// are retried with jittered exponential backoff, and after `failureThreshold`
+// consecutive failed requests the circuit opens: calls fail fast with
+// CircuitOpenError for `cooldown` ms, then a single trial call decides whether
+// it closes again. The circuit is checked before every attempt, so requests
+// already backing off stop retrying once another one has opened it.
+class OpenDataClient {
+  constructor({
+    baseURL,
+    timeout = 10000,
+    concurrency = 4,
+    retries = 2,
+    retryDelay = 300,
+    maxRetryDelay = 5000,
+    failureThreshold = 5,
+    cooldown = 30000
+  }) {
+    this.options = { concurrency, retries, retryDelay, maxRetryDelay, failureThreshold, cooldown };
+    this.http = axios.create({
+      baseURL,
+      timeout,
+      headers: {
+        'User-Agent': 'ConcordiaSync/1.0.0',
+        'Accept': 'application/json'
+      }
+    });
+
+    this.inFlight = new Map();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.circuit = { state: 'closed', failures: 0, openedAt: 0, trial: false };
+  }
+
+  // Same call shape as axios: resolves with the response, `response.data` holds the body
+  get(url, { params = {} } = {}) {
+    const key = `${url}?${new URLSearchParams(params)}`;
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.schedule(() => this.requestWithRetry(url, params))
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  async requestWithRetry(url, params) {
+    for (let attempt = 0; ; attempt++) {
+      const trial = this.checkCircuit();
+      await this.waitForRateLimit();
+
+      try {
+        const response = await this.http.get(url, { params });
+        this.readRateLimit(response);
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        if (error.response) this.readRateLimit(error.response);
+
+        if (!this.isRetryable(error)) {
+          // A 404 or 400 is an answer, not an outage
+          if (error.response) this.recordSuccess();
+          else this.recordFailure();
+          this.logError(error);
+          throw error;
+        }
+
+        // The trial call of a half-open circuit gets a single attempt
+        if (trial || attempt >= this.options.retries) {
+          this.recordFailure();
+          this.logError(error);
+          throw error;
+        }
+
+        await sleep(this.getRetryDelay(error, attempt));
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  // Full jitter: anywhere between 0 and the exponential cap, unless the API
+  // said when to come back
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, this.options.maxRetryDelay);
+
+    const cap = Math.min(this.options.maxRetryDelay, this.options.retryDelay * 2 ** attempt);
+    return Math.random() * cap;
+  }
+
+  parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  // Once the quota is spent, every queued request waits for the reset rather
+  // than burning retries on 429s. Reset is either seconds from now or an epoch.
+  readRateLimit(response) {
+    const headers = response.headers || {};
+    const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'] ?? headers['ratelimit-reset'];
+
+    if (remaining === undefined || parseInt(remaining, 10) > 0 || reset === undefined) return;
+
+    const seconds = parseInt(reset, 10);
+    if (isNaN(seconds)) return;
+
+    const resetAt = seconds > 1e9 ? seconds * 1000 : Date.now() + seconds * 1000;
+    this.pausedUntil = Math.max(this.pausedUntil, resetAt);
+  }
+
+  async waitForRateLimit() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  // Throws while the circuit is open; returns true for the half-open trial call
+  checkCircuit() {
+    const { circuit } = this;
+    if (circuit.state === 'closed') return false;
+
+    const retryAt = circuit.openedAt + this.options.cooldown;
+    if (circuit.state === 'open' && Date.now() >= retryAt) {
+      circuit.state = 'half-open';
+      circuit.trial = false;
+    }
+
+    if (circuit.state === 'half-open' && !circuit.trial) {
+      circuit.trial = true;
+      return true;
+    }
+    throw new CircuitOpenError(retryAt);
+  }
+
+  recordSuccess() {
+    if (this.circuit.state !== 'closed') {
+      console.log('Concordia API recovered, closing circuit');
+    }
+    this.circuit = { state: 'closed', failures: 0, openedAt: 0, trial: false };
+  }
+
+  recordFailure() {
+    const { circuit } = this;
+    circuit.failures++;
+
+    if (circuit.state === 'half-open' || circuit.failures >= this.options.failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`Concordia API failing, opening circuit for ${this.options.cooldown / 1000}s`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.trial = false;
+    }
+  }
+
+  // Bounded parallelism: callers beyond `concurrency` wait in FIFO order and
+  // are handed the finishing call's slot directly, so none can jump the queue
+  async schedule(task) {
+    if (this.active >= this.options.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+
+  getStatus() {
+    return {
+      circuit: this.circuit.state,
+      consecutiveFailures: this.circuit.failures,
+      active: this.active,
+      queued: this.queue.length,
+      rateLimitedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+
+  logError(error) {
+    console.error('Concordia API Error:', {
+      status: error.response?.status,
+      data: error.response?.data,
+      url: error.config?.url
+    });
+  }
+}
+
+module.exports = {
+  OpenDataClient,
+  CircuitOpenError
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid or expired cursor for this request') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+// Offset cursors are tied to a fingerprint of the query they were issued
+// for, so a cursor replayed against different filters is rejected.
+function getFingerprint(criteria) {
+  return crypto.createHash('sha1').update(JSON.stringify(criteria)).digest('hex').substring(0, 12);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (f === fingerprint && Number.isInteger(o) && o >= 0) {
+      return o;
+    }
+  } catch (error) {
+    // Malformed cursors are rejected below
+  }
+  throw new InvalidCursorError();
+}
+
+function paginate(items, { limit, cursor, criteria }) {
+  const fingerprint = getFingerprint(criteria);
+  const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+  const page = items.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  return {
+    data: page,
+    offset,
+    total: items.length,
+    nextCursor: nextOffset < items.length ? encodeCursor(nextOffset, fingerprint) : null
+  };
+}
+
+module.exports = {
+  paginate,
+  InvalidCursorError
+};
@@ -0,0 +1,148 @@
+const courseService = require('./courseService');
+const cacheService = require('./cacheService');
+const scheduleService = require('./scheduleService');
+const scheduleModel = require('../../shared/scheduleModel');
+const buildings = require('../../shared/buildings');
+const academicCalendar = require('../../shared/academicCalendar');
+
+class RoomService {
+  // Every scheduled meeting of a term by room ("H 110"), built from the same
+  // term-wide feed as course search. Meetings without a room (online, TBA)
+  // are left out, and so are rooms no class is scheduled in.
+  async getRoomIndex(term) {
+    return cacheService.getOrFetch(`rooms_${term}`, 1800, async () => {
+      const offerings = await courseService.getTermOfferings(term);
+      const index = {};
+
+      offerings.forEach(course => course.sections.forEach(section => section.schedule.forEach(meeting => {
+        const room = this.normalizeRoom(meeting.location || section.location);
+        if (!room) return;
+
+        if (!index[room]) index[room] = [];
+        meeting.days.forEach(day => index[room].push({
+          code: course.code,
+          section: section.section,
+          type: section.type,
+          day,
+          startTime: meeting.startTime,
+          endTime: meeting.endTime,
+          startDate: meeting.startDate || null,
+          endDate: meeting.endDate || null
+        }));
+      })));
+
+      return index;
+    });
+  }
+
+  // Rooms with no class overlapping `from`-`to` on `day`, with how long they
+  // stay free around the window (null: from the start or to the end of the day).
+  // With a `date` (YYYY-MM-DD), sections not running on that date are ignored.
+  // Rooms no class uses that term are not in the index, so never listed.
+  async findFreeRooms(term, { building, campus, day, from, to, date = null }) {
+    const index = await this.getRoomIndex(term);
+    const start = scheduleService.toMinutes(from);
+    const end = scheduleService.toMinutes(to);
+
+    return Object.keys(index)
+      .filter(room => this.matchesRoom(room, { building, campus }))
+      .map(room => {
+        const meetings = this.getDayMeetings(index[room], day, date);
+        const busy = meetings.some(meeting =>
+          scheduleService.toMinutes(meeting.startTime) < end && scheduleService.toMinutes(meeting.endTime) > start
+        );
+        if (busy) return null;
+
+        const before = meetings.filter(meeting => scheduleService.toMinutes(meeting.endTime) <= start).pop();
+        const after = meetings.find(meeting => scheduleService.toMinutes(meeting.startTime) >= end);
+
+        return {
+          ...this.describeRoom(room),
+          freeFrom: before ? before.endTime : null,
+          freeUntil: after ? after.startTime : null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.room.localeCompare(b.room, undefined, { numeric: true }));
+  }
+
+  // Monday-to-Sunday meetings of one room, or null when no class uses it.
+  // With a `date`, the week containing it: each day gets its date and only
+  // the sections running on it.
+  async getTimeline(term, location, date = null) {
+    const room = this.normalizeRoom(location);
+    const index = await this.getRoomIndex(term);
+    if (!room || !index[room]) return null;
+
+    const monday = date && academicCalendar.addDays(academicCalendar.parseDate(date), -this.weekdayOfDate(date));
+    const days = scheduleModel.WEEKDAY_NAMES.map((name, day) => {
+      const dayDate = monday ? academicCalendar.formatISODate(academicCalendar.addDays(monday, day)) : null;
+      const meetings = this.getDayMeetings(index[room], day, dayDate);
+      return { day, name, ...(dayDate ? { date: dayDate } : {}), busyMinutes: this.sumMinutes(meetings), meetings };
+    });
+
+    return {
+      ...this.describeRoom(room),
+      term,
+      busyMinutes: days.reduce((total, day) => total + day.busyMinutes, 0),
+      days
+    };
+  }
+
+  // "h-110", "H110" and "H 110" are the same room
+  normalizeRoom(location) {
+    const parsed = buildings.parseLocation(location);
+    return parsed ? `${parsed.building} ${parsed.room}` : null;
+  }
+
+  matchesRoom(room, { building, campus }) {
+    const parsed = buildings.parseLocation(room);
+    if (building && parsed.building !== building.toUpperCase()) return false;
+    if (campus && buildings.getCampus(room) !== campus.toUpperCase()) return false;
+    return true;
+  }
+
+  describeRoom(room) {
+    const entry = buildings.getBuilding(room);
+    return {
+      room,
+      building: buildings.parseLocation(room).building,
+      buildingName: entry ? entry.name : null,
+      campus: entry ? entry.campus : null
+    };
+  }
+
+  getDayMeetings(meetings, day, date = null) {
+    return meetings
+      .filter(meeting => meeting.day === day && this.isRunningOn(meeting, date))
+      .sort((a, b) => scheduleService.toMinutes(a.startTime) - scheduleService.toMinutes(b.startTime));
+  }
+
+  // Sections without dates are taken to run all term
+  isRunningOn(meeting, date) {
+    if (!date) return true;
+    return (!meeting.startDate || meeting.startDate <= date) && (!meeting.endDate || meeting.endDate >= date);
+  }
+
+  weekdayOfDate(date) {
+    return scheduleModel.weekdayOf(academicCalendar.parseDate(date));
+  }
+
+  // Time the room is in use; meetings sharing the room at the same time
+  // (cross-listed courses) are only counted once
+  sumMinutes(meetings) {
+    let total = 0;
+    let coveredUntil = 0;
+
+    meetings.forEach(meeting => {
+      const start = Math.max(scheduleService.toMinutes(meeting.startTime), coveredUntil);
+      const end = scheduleService.toMinutes(meeting.endTime);
+      if (end > start) total += end - start;
+      coveredUntil = Math.max(coveredUntil, end);
+    });
+
+    return total;
+  }
+}
+
+module.exports = new RoomService();
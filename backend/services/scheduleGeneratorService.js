@@ -0,0 +1,254 @@
+const courseService = require('./courseService');
+const scheduleService = require('./scheduleService');
+const scheduleModel = require('../../shared/scheduleModel');
+const { paginate } = require('./pagination');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Enumeration stops after this many valid timetables, or after trying this
+// many partial ones; the response is then flagged as truncated and ranking
+// only covers what was enumerated.
+const MAX_COMBINATIONS = 5000;
+const MAX_VISITS = 200000;
+
+class ScheduleGeneratorService {
+  // Returns ranked, conflict-free timetables for `courses` (course codes),
+  // one lecture plus one of each linked tutorial/lab per course.
+  async generate({ term, courses, constraints = {}, limit, cursor }) {
+    const rules = this.normalizeConstraints(constraints);
+    const unavailable = [];
+    const candidates = [];
+
+    const loaded = await Promise.all(courses.map(code => courseService.getCourseDetails(code, term)
+      .then(courseDetails => ({ code, courseDetails }))
+      .catch(error => {
+        console.error(`Failed to load ${code} for timetable generation:`, error.message);
+        return { code, error };
+      })));
+
+    for (const { code, courseDetails, error } of loaded) {
+      if (error) {
+        unavailable.push({ code, reason: 'upstream_error' });
+        continue;
+      }
+
+      const options = courseDetails ? this.getSectionOptions(courseDetails, rules) : [];
+
+      if (options.length) {
+        candidates.push({ code: courseDetails.code, options });
+      } else {
+        unavailable.push({ code, reason: courseDetails ? 'no_matching_sections' : 'not_found' });
+      }
+    }
+
+    const { timetables, truncated } = this.enumerate(candidates, rules);
+    const ranked = timetables
+      .map(timetable => this.describeTimetable(timetable, term, rules))
+      .sort((a, b) => b.score - a.score);
+
+    const pageSize = Math.min(Math.max(parseInt(limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = paginate(ranked, { limit: pageSize, cursor, criteria: { term, courses, rules } });
+
+    return {
+      ...page,
+      data: page.data.map((timetable, index) => ({ rank: page.offset + index + 1, ...timetable })),
+      truncated,
+      unavailable
+    };
+  }
+
+  normalizeConstraints(constraints) {
+    const toMinutes = value => (value ? scheduleService.toMinutes(value) : null);
+    const daysOff = Array.isArray(constraints.daysOff)
+      ? constraints.daysOff.flatMap(day => (Number.isInteger(day) ? [day] : scheduleModel.parseWeekdays(String(day))))
+      : [];
+
+    return {
+      notBefore: toMinutes(constraints.notBefore),
+      notAfter: toMinutes(constraints.notAfter),
+      daysOff: daysOff.filter(scheduleModel.isValidWeekday),
+      maxGap: Number.isInteger(constraints.maxGap) ? constraints.maxGap : null,
+      campus: constraints.campus ? constraints.campus.toUpperCase() : null,
+      instructors: (constraints.instructors || []).map(name => name.toLowerCase()),
+      openSeatsOnly: constraints.openSeatsOnly === true
+    };
+  }
+
+  // Hard per-section constraints: time window, days off and open seats
+  isSectionAllowed(section, rules) {
+    if (rules.openSeatsOnly && section.capacity - section.enrolled <= 0) return false;
+
+    return section.schedule.every(meeting =>
+      !meeting.days.some(day => rules.daysOff.includes(day)) &&
+      (rules.notBefore === null || scheduleService.toMinutes(meeting.startTime) >= rules.notBefore) &&
+      (rules.notAfter === null || scheduleService.toMinutes(meeting.endTime) <= rules.notAfter)
+    );
+  }
+
+  // Every valid set of sections for one course: a lecture with one section of
+  // each component type linked to it (see courseService.linkSections). A
+  // component type the lecture has no allowed section for rules the lecture out.
+  getSectionOptions(courseDetails, rules) {
+    const { sections } = courseDetails;
+    const lectures = sections.filter(section => section.type === 'Lecture');
+    const roots = lectures.length ? lectures : [null];
+
+    return roots.flatMap(lecture => {
+      const linked = sections.filter(section => section.type !== 'Lecture' && (
+        !lecture ||
+        section.parentSection === lecture.section ||
+        (!section.parentSection && lectures.length === 1)
+      ));
+
+      const byType = new Map();
+      linked.forEach(section => {
+        if (!byType.has(section.type)) byType.set(section.type, []);
+        byType.get(section.type).push(section);
+      });
+
+      if (lecture && !this.isSectionAllowed(lecture, rules)) return [];
+
+      const choices = Array.from(byType.values()).map(group => group.filter(section => this.isSectionAllowed(section, rules)));
+      if (choices.some(group => !group.length)) return [];
+
+      return choices.reduce(
+        (combinations, group) => combinations.flatMap(combination => group.map(section => [...combination, section])),
+        [lecture ? [lecture] : []]
+      ).filter(combination => combination.length > 0);
+    });
+  }
+
+  // Depth-first over courses, fewest options first so dead ends are found early
+  enumerate(candidates, rules) {
+    const ordered = [...candidates].sort((a, b) => a.options.length - b.options.length);
+    const timetables = [];
+    let truncated = false;
+    let visits = 0;
+
+    const visit = (index, chosen, blocks) => {
+      if (timetables.length >= MAX_COMBINATIONS || ++visits > MAX_VISITS) {
+        truncated = true;
+        return;
+      }
+      if (index === ordered.length) {
+        if (this.fitsMaxGap(blocks, rules)) timetables.push(chosen);
+        return;
+      }
+
+      const { code, options } = ordered[index];
+      options.forEach(sections => {
+        const optionBlocks = this.toBlocks(sections);
+        if (optionBlocks.some(block => blocks.some(other => this.blocksOverlap(block, other)))) return;
+        visit(index + 1, [...chosen, { code, sections }], [...blocks, ...optionBlocks]);
+      });
+    };
+
+    if (ordered.length) visit(0, [], []);
+    return { timetables, truncated };
+  }
+
+  toBlocks(sections) {
+    return sections.flatMap(section => section.schedule.flatMap(meeting => meeting.days.map(day => ({
+      day,
+      start: scheduleService.toMinutes(meeting.startTime),
+      end: scheduleService.toMinutes(meeting.endTime),
+      startDate: meeting.startDate,
+      endDate: meeting.endDate,
+      location: meeting.location || section.location,
+      instructor: section.instructor
+    }))));
+  }
+
+  blocksOverlap(first, second) {
+    return first.day === second.day &&
+      first.start < second.end && second.start < first.end &&
+      scheduleService.dateRangesOverlap(first, second);
+  }
+
+  getDays(blocks) {
+    const days = new Map();
+    blocks.forEach(block => {
+      if (!days.has(block.day)) days.set(block.day, []);
+      days.get(block.day).push(block);
+    });
+    days.forEach(dayBlocks => dayBlocks.sort((a, b) => a.start - b.start));
+    return days;
+  }
+
+  fitsMaxGap(blocks, rules) {
+    if (rules.maxGap === null) return true;
+
+    return Array.from(this.getDays(blocks).values()).every(dayBlocks =>
+      dayBlocks.every((block, index) => index === 0 || block.start - dayBlocks[index - 1].end <= rules.maxGap)
+    );
+  }
+
+  // Fewer days on campus and shorter gaps rank first; preferred campus and
+  // instructors add to the score, rushed campus transfers take away.
+  describeTimetable(timetable, term, rules) {
+    const blocks = this.toBlocks(timetable.flatMap(course => course.sections));
+    const days = this.getDays(blocks);
+    let totalGapMinutes = 0;
+    let campusTransfers = 0;
+
+    days.forEach(dayBlocks => {
+      dayBlocks.forEach((block, index) => {
+        if (index === 0) return;
+        const previous = dayBlocks[index - 1];
+        const gap = Math.max(block.start - previous.end, 0);
+        totalGapMinutes += gap;
+
+        if (scheduleService.isTightCampusTransfer(previous.location, block.location, gap)) {
+          campusTransfers++;
+        }
+      });
+    });
+
+    const offCampusMeetings = rules.campus
+      ? blocks.filter(block => scheduleService.getCampus(block.location) !== rules.campus).length
+      : 0;
+    const preferredInstructorSections = rules.instructors.length
+      ? timetable.flatMap(course => course.sections)
+        .filter(section => rules.instructors.some(name => section.instructor.toLowerCase().includes(name))).length
+      : 0;
+
+    const score = -days.size * 100 - totalGapMinutes - offCampusMeetings * 60 -
+      campusTransfers * 120 + preferredInstructorSections * 90;
+
+    return {
+      score,
+      metrics: {
+        daysOnCampus: days.size,
+        totalGapMinutes,
+        campusTransfers,
+        offCampusMeetings,
+        preferredInstructorSections
+      },
+      courses: timetable.map(({ code, sections }) => ({
+        code,
+        sections: sections.map(section => ({
+          section: section.section,
+          type: section.type,
+          classNumber: section.classNumber,
+          instructor: section.instructor,
+          instructors: section.instructors || [],
+          openSeats: Math.max(section.capacity - section.enrolled, 0),
+          schedule: section.schedule
+        }))
+      })),
+      // Ready to post to /api/schedule/parse
+      courseData: timetable.map(({ code, sections }) => ({
+        code,
+        term,
+        components: sections.map(section => ({
+          section: section.section,
+          component: section.type,
+          classNumber: section.classNumber
+        }))
+      }))
+    };
+  }
+}
+
+module.exports = new ScheduleGeneratorService();
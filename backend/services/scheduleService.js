@@ -1,45 +1,192 @@
 const courseService = require('./courseService');
+const calendarService = require('./calendarService');
+const scheduleModel = require('../../shared/scheduleModel');
+const examModel = require('../../shared/examModel');
+const buildings = require('../../shared/buildings');
+const calendarExport = require('../../shared/calendarExport');
+
+// The inter-campus shuttle takes about 30 minutes door to door
+const MIN_CAMPUS_TRANSFER_MINUTES = 30;
+
+// Pasted schedules: "COMP 248", "comp248-EC", "SOEN 287 Q (2345)"
+const PASTED_COURSE_PATTERN = /\b([A-Za-z]{4})\s*-?\s*(\d{3}[A-Za-z]?)\b/;
+// The first word after the code, e.g. "EC", "ECEK" or "AI-X"
+const PASTED_SECTION_PATTERN = /^[\s\-–/|:]*([A-Za-z]{1,4}(?:-[A-Za-z0-9]{1,3})?)(?![\w-])/;
+const PASTED_COMPONENT_PATTERN = /^(LEC|TUT|LAB|SEM|WOR|Lecture|Tutorial|Laboratory|Lab|Seminar|Workshop)$/i;
+// A class row of a copied "My Class Schedule" page: "1234  EC  Lecture  MoWe 10:15AM - ..."
+const PASTED_CLASS_ROW_PATTERN = /^(\d{4,5})\s+([A-Z]{1,4}(?:-?[A-Z0-9]{1,3})?)\s+([A-Za-z]+)/;
+const PASTED_SKIPPED_STATUS_PATTERN = /\b(dropped|withdrawn|wait\s*list(ed)?)\b/i;
+// Lines of a copied portal page or email that never name a course
+const PASTED_NOISE_PATTERN = /^(status|enrolled|class\s*nbr|section|component|days|room|instructor|start\/end|units|grading|deadlines|my class schedule|class schedule|list view|weekly|select display|show |filter|printer|collapse|career|term|go to|student center)\b|\d{1,2}:\d{2}\s*[AP]M|\d{2}\/\d{2}\/\d{4}|^[\d.\s]+$|^(TBA|Online)$/i;
+const MAX_PASTED_COURSES = 15;
+
+// Why a course produced no (or only some) events, reported per course by
+// /api/schedule/parse. `availableSections` lets the user pick the right one.
+class CourseScheduleError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'CourseScheduleError';
+    this.status = status;
+    this.details = details;
+  }
+}
 
 class ScheduleService {
+  // Courses load in parallel; the Open Data client bounds how many upstream
+  // calls actually run at once. Events keep the order of `courseData`, and
+  // `results` has one entry per course saying whether it worked and why not.
   async generateSchedule(courseData) {
-    const scheduleEvents = [];
+    const perCourse = await Promise.all(courseData.map(courseInfo => this.getCourseSchedule(courseInfo)));
     
-    for (const courseInfo of courseData) {
-      try {
-        const courseDetails = await this.getCourseScheduleData(courseInfo);
-        if (courseDetails && courseDetails.length > 0) {
-          scheduleEvents.push(...courseDetails);
-        }
-      } catch (error) {
-        console.error(`Error processing course ${courseInfo.code}:`, error.message);
-      }
-    }
-    
-    return scheduleEvents;
+    return {
+      events: perCourse.flatMap(({ events }) => events),
+      results: perCourse.map(({ result }) => result)
+    };
   }
 
-  async getCourseScheduleData(courseInfo) {
-    const { code, section, term = this.getCurrentTerm() } = courseInfo;
+  async getCourseSchedule(courseInfo) {
+    const { code, term = this.getCurrentTerm() } = courseInfo;
+    const report = (status, message, events = [], details = {}) => ({
+      events,
+      result: { code, term, status, message, eventCount: events.length, ...details }
+    });
     
+    let courseDetails;
     try {
-      const courseDetails = await courseService.getCourseDetails(code, term);
-      if (!courseDetails) {
-        throw new Error(`Course ${code} not found for term ${term}`);
+      courseDetails = await courseService.getCourseDetails(code, term);
+    } catch (error) {
+      console.error(`Failed to get schedule for ${code}:`, error.message);
+      return report('upstream_error', `Could not reach the Concordia course service for ${code}, please try again`);
+    }
+    
+    if (!courseDetails) {
+      return report('not_found', `${code} is not offered in ${scheduleModel.getTermLabel(term)}`);
+    }
+    
+    try {
+      const { selected, missing, unscheduled = [] } = this.selectEnrolledSections(courseDetails, courseInfo);
+      const events = selected.flatMap(section => this.convertToScheduleEvents(courseDetails, section));
+      const unscheduledNote = unscheduled.length
+        ? `${unscheduled.map(section => `${section.type} ${section.section}`).join(', ')} has no scheduled meetings (online or times to be announced)`
+        : '';
+      
+      if (missing.length) {
+        return report('section_not_found',
+          `${code}: ${missing.map(component => `${component.component || 'section'} ${component.section}`).join(', ')} not found`,
+          events, { missing, availableSections: this.describeSections(courseDetails.sections) });
+      }
+      if (!events.length) {
+        return report('no_meetings', unscheduledNote
+          ? `${code}: ${unscheduledNote}`
+          : `${code} has no scheduled meetings (online or times to be announced)`);
       }
+      return report('ok', `${events.length} class sessions${unscheduledNote ? `; ${unscheduledNote}` : ''}`, events);
+    } catch (error) {
+      if (!(error instanceof CourseScheduleError)) throw error;
+      
+      console.warn(`No schedule for ${code}:`, error.message);
+      return report(error.status, error.message, [], error.details.missing
+        ? { missing: error.details.missing, availableSections: this.describeSections(courseDetails.sections) }
+        : {});
+    }
+  }
+
+  // Enough to pick a section by: component, code, times and instructor
+  describeSections(sections) {
+    return sections.map(section => ({
+      section: section.section,
+      type: section.type,
+      classNumber: section.classNumber,
+      parentSection: section.parentSection,
+      instructor: section.instructor,
+      schedule: section.schedule.map(({ days, startTime, endTime }) => ({ days, startTime, endTime }))
+    }));
+  }
 
-      const targetSection = section 
-        ? courseDetails.sections.find(s => s.section === section)
-        : courseDetails.sections[0];
+  // Picks the sections a student is registered in. `components` (one entry per
+  // enrolled lecture/tutorial/lab, as scraped from the portal) is exact; a lone
+  // `section` code, or nothing at all, is only expanded to the linked tutorials
+  // and labs when there is a single candidate for each component. Components
+  // that match nothing come back as `missing`; those matching an online or TBA
+  // section as `unscheduled`.
+  selectEnrolledSections(courseDetails, { code, section, components }) {
+    const { sections } = courseDetails;
+    const unscheduledSections = courseDetails.unscheduledSections || [];
+    const findSection = (candidates, wanted, type) =>
+      candidates.find(candidate => wanted.classNumber && candidate.classNumber === wanted.classNumber) ||
+      candidates.find(candidate => candidate.section === wanted.section && (!type || candidate.type === type));
 
-      if (!targetSection) {
-        throw new Error(`Section ${section || 'default'} not found for course ${code}`);
+    if (!sections.length) {
+      throw new CourseScheduleError('no_meetings', `${code} has no scheduled meetings (online or times to be announced)`);
+    }
+
+    if (Array.isArray(components) && components.length) {
+      const selected = new Set();
+      const missing = [];
+      const unscheduled = [];
+
+      components.forEach(component => {
+        const type = component.component ? courseService.normalizeClassType(component.component) : null;
+        const match = findSection(sections, component, type);
+        const unscheduledMatch = !match && findSection(unscheduledSections, component, type);
+
+        if (match) {
+          selected.add(match);
+        } else if (unscheduledMatch) {
+          unscheduled.push(unscheduledMatch);
+        } else {
+          missing.push({ section: component.section, component: type, classNumber: component.classNumber });
+        }
+      });
+
+      return { selected: Array.from(selected), missing, unscheduled };
+    }
+
+    const lectures = sections.filter(candidate => candidate.type === 'Lecture');
+
+    if (section) {
+      const matches = sections.filter(candidate => candidate.section === section);
+      const unscheduled = unscheduledSections.filter(candidate => candidate.section === section);
+      if (!matches.length) {
+        return unscheduled.length
+          ? { selected: [], missing: [], unscheduled }
+          : { selected: [], missing: [{ section, component: null }] };
       }
 
-      return this.convertToScheduleEvents(courseDetails, targetSection);
-    } catch (error) {
-      console.error(`Failed to get schedule for ${code}:`, error.message);
-      return [];
+      const lecture = matches.find(candidate => candidate.type === 'Lecture');
+      return {
+        selected: lecture ? [...matches, ...this.getUnambiguousLinkedSections(sections, lecture, lectures)] : matches,
+        missing: [],
+        unscheduled
+      };
+    }
+
+    if (lectures.length === 1) {
+      return { selected: [lectures[0], ...this.getUnambiguousLinkedSections(sections, lectures[0], lectures)], missing: [] };
+    }
+    if (sections.length === 1) {
+      return { selected: sections, missing: [] };
     }
+
+    throw new CourseScheduleError('section_not_found', `${code} has several sections, pick the one you are enrolled in`, {
+      missing: [{ section: null, component: null }]
+    });
+  }
+
+  getUnambiguousLinkedSections(sections, lecture, lectures) {
+    const byType = new Map();
+
+    sections
+      .filter(candidate => candidate.type !== 'Lecture')
+      .filter(candidate => candidate.parentSection === lecture.section || (!candidate.parentSection && lectures.length === 1))
+      .forEach(candidate => {
+        if (!byType.has(candidate.type)) byType.set(candidate.type, []);
+        byType.get(candidate.type).push(candidate);
+      });
+
+    return Array.from(byType.values())
+      .filter(candidates => candidates.length === 1)
+      .map(([candidate]) => candidate);
   }
 
   convertToScheduleEvents(courseDetails, section) {
@@ -50,19 +197,39 @@ class ScheduleService {
     }
 
     section.schedule.forEach(meeting => {
+      const location = meeting.location || section.location || 'TBD';
+      const building = buildings.getBuilding(location);
+      // The instructor list goes last: it is the only part that grows, and a
+      // cut description then loses names rather than the map link
+      const description = [
+        `${courseDetails.code} | ${section.type} | ${courseDetails.credits} Credits`,
+        buildings.describeLocation(location),
+        this.describeInstructors(section)
+      ].filter(Boolean).join(' | ');
+
       meeting.days.forEach(dayNum => {
         events.push({
+          code: courseDetails.code,
           subject: `${courseDetails.code} - ${courseDetails.title}`,
           day: dayNum,
           startTime: meeting.startTime,
           endTime: meeting.endTime,
-          location: meeting.location || section.location || 'TBD',
-          description: `${courseDetails.code} | ${section.type} | ${courseDetails.credits} Credits | Instructor: ${section.instructor || 'TBD'}`,
+          location,
+          locationName: buildings.formatLocation(location),
+          building: building ? building.name : null,
+          campus: building ? building.campus : null,
+          mapsUrl: buildings.getMapsUrl(location),
+          description,
           type: section.type,
-          instructor: section.instructor || 'TBD',
+          instructor: section.instructor || 'TBA',
+          instructors: section.instructors || [],
           section: section.section,
+          classNumber: section.classNumber || '',
           credits: courseDetails.credits,
-          department: courseDetails.department
+          department: courseDetails.department,
+          term: courseDetails.term,
+          startDate: meeting.startDate || null,
+          endDate: meeting.endDate || null
         });
       });
     });
@@ -70,164 +237,262 @@ class ScheduleService {
     return events;
   }
 
-  generateCSV(scheduleData, semesterInfo = {}) {
-    const headers = [
-      'Subject', 'Start Date', 'Start Time', 'End Date', 'End Time',
-      'All Day Event', 'Description', 'Location', 'Private'
-    ];
+  // "Instructor: Alex Martin" or, for co-taught sections,
+  // "Instructors: Alex Martin (Primary Instructor); Sam Lee (sam.lee@concordia.ca)"
+  describeInstructors(section) {
+    const instructors = section.instructors || [];
+    if (!instructors.length) return `Instructor: ${section.instructor || 'TBA'}`;
 
-    const { startDate, endDate } = this.getSemesterDates(semesterInfo);
-    const events = [];
+    const names = instructors.map(({ name, role, email }) => {
+      const details = [role, email].filter(Boolean).join(', ');
+      return details ? `${name} (${details})` : name;
+    });
+    return `${instructors.length === 1 ? 'Instructor' : 'Instructors'}: ${names.join('; ')}`;
+  }
+
+  detectConflicts(events) {
+    const conflicts = [];
+
+    for (let i = 0; i < events.length; i++) {
+      for (let j = i + 1; j < events.length; j++) {
+        const [first, second] = this.toMinutes(events[i].startTime) <= this.toMinutes(events[j].startTime)
+          ? [events[i], events[j]]
+          : [events[j], events[i]];
+
+        if (first.day !== second.day || !this.dateRangesOverlap(first, second)) continue;
 
-    scheduleData.forEach(course => {
-      const firstOccurrence = this.getFirstWeekdayOccurrence(startDate, course.day);
-      let currentDate = new Date(firstOccurrence);
-
-      while (currentDate <= endDate) {
-        if (!this.isBreakWeek(currentDate, semesterInfo.breaks)) {
-          events.push({
-            Subject: this.sanitizeCsvField(course.subject),
-            'Start Date': this.formatDate(currentDate),
-            'Start Time': course.startTime,
-            'End Date': this.formatDate(currentDate),
-            'End Time': course.endTime,
-            'All Day Event': 'False',
-            Description: this.sanitizeCsvField(course.description),
-            Location: this.sanitizeCsvField(course.location),
-            Private: 'False'
+        const firstEnd = this.toMinutes(first.endTime);
+        const secondStart = this.toMinutes(second.startTime);
+        const secondEnd = this.toMinutes(second.endTime);
+
+        if (secondStart < firstEnd) {
+          const overlapMinutes = Math.min(firstEnd, secondEnd) - secondStart;
+          conflicts.push({
+            type: 'overlap',
+            severity: 'error',
+            day: first.day,
+            minutes: overlapMinutes,
+            events: [this.summarizeEvent(first), this.summarizeEvent(second)],
+            message: `${this.describeEvent(first)} overlaps ${this.describeEvent(second)} on ${scheduleModel.WEEKDAY_NAMES[first.day]} by ${overlapMinutes} min`
+          });
+          continue;
+        }
+
+        const gapMinutes = secondStart - firstEnd;
+        const firstCampus = this.getCampus(first.location);
+        const secondCampus = this.getCampus(second.location);
+
+        if (this.isTightCampusTransfer(first.location, second.location, gapMinutes)) {
+          conflicts.push({
+            type: 'campus_transfer',
+            severity: 'warning',
+            day: first.day,
+            minutes: gapMinutes,
+            events: [this.summarizeEvent(first), this.summarizeEvent(second)],
+            message: `Only ${gapMinutes} min to get from ${firstCampus} (${this.describeEvent(first)}) to ${secondCampus} (${this.describeEvent(second)}) on ${scheduleModel.WEEKDAY_NAMES[first.day]}`
           });
         }
-        currentDate.setDate(currentDate.getDate() + 7);
       }
-    });
+    }
 
-    const csvContent = [
-      headers.join(','),
-      ...events.map(event => headers.map(header => 
-        `"${event[header].toString().replace(/"/g, '""')}"`
-      ).join(','))
-    ].join('\n');
+    return conflicts;
+  }
 
-    return csvContent;
+  // Sections without their own dates run for the whole term
+  dateRangesOverlap(first, second) {
+    const firstStart = first.startDate || '0000-00-00';
+    const firstEnd = first.endDate || '9999-99-99';
+    const secondStart = second.startDate || '0000-00-00';
+    const secondEnd = second.endDate || '9999-99-99';
+    return firstStart <= secondEnd && secondStart <= firstEnd;
   }
 
-  getSemesterDates(semesterInfo) {
-    const currentYear = new Date().getFullYear();
-    
-    if (semesterInfo.startDate && semesterInfo.endDate) {
-      return {
-        startDate: new Date(semesterInfo.startDate),
-        endDate: new Date(semesterInfo.endDate)
-      };
-    }
+  isTightCampusTransfer(fromLocation, toLocation, gapMinutes) {
+    const fromCampus = this.getCampus(fromLocation);
+    const toCampus = this.getCampus(toLocation);
+    return !!fromCampus && !!toCampus && fromCampus !== toCampus && gapMinutes < MIN_CAMPUS_TRANSFER_MINUTES;
+  }
 
-    const term = semesterInfo.term || this.getCurrentTerm();
-    const year = parseInt(term.substring(0, 4)) || currentYear;
-    const semester = term.substring(4) || '2';
-
-    switch (semester) {
-      case '1': // Fall
-        return {
-          startDate: new Date(year, 8, 1), // September 1
-          endDate: new Date(year, 11, 31)  // December 31
-        };
-      case '2': // Winter
-        return {
-          startDate: new Date(year, 0, 1),  // January 1
-          endDate: new Date(year, 3, 30)    // April 30
-        };
-      case '4': // Summer
-        return {
-          startDate: new Date(year, 4, 1),  // May 1
-          endDate: new Date(year, 7, 31)    // August 31
-        };
-      default:
-        return {
-          startDate: new Date(year, 0, 1),
-          endDate: new Date(year, 11, 31)
-        };
-    }
+  getCampus(location) {
+    return buildings.getCampus(location);
+  }
+
+  summarizeEvent(event) {
+    return {
+      code: event.code,
+      section: event.section,
+      type: event.type,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      location: event.location
+    };
   }
 
-  getFirstWeekdayOccurrence(startDate, targetDay) {
-    const date = new Date(startDate);
-    const daysAhead = (targetDay - date.getDay() + 7) % 7;
-    date.setDate(date.getDate() + daysAhead);
-    return date;
+  describeEvent(event) {
+    return `${event.code || event.subject} ${event.type || ''} ${event.section || ''}`.replace(/\s+/g, ' ').trim();
   }
 
-  isBreakWeek(date, customBreaks = []) {
-    const defaultBreaks = [
-      { start: new Date(2024, 10, 25), end: new Date(2024, 10, 29) }, // Thanksgiving
-      { start: new Date(2024, 11, 23), end: new Date(2024, 11, 31) }, // Christmas
-      { start: new Date(2025, 2, 1), end: new Date(2025, 2, 7) },     // Reading Week (Winter)
-      { start: new Date(2025, 9, 14), end: new Date(2025, 9, 18) }    // Reading Week (Fall)
-    ];
+  toMinutes(time) {
+    const [hours, minutes] = (time || '00:00').split(':').map(value => parseInt(value, 10));
+    return hours * 60 + minutes;
+  }
 
-    const allBreaks = [...defaultBreaks, ...customBreaks];
-    
-    return allBreaks.some(breakPeriod => 
-      date >= breakPeriod.start && date <= breakPeriod.end
+  // Files for calendar apps, built by shared/calendarExport.js like the
+  // extension's own exports; final exams are one-off events after the classes
+  generateCSV(scheduleData, semesterInfo = {}, exams = []) {
+    return calendarExport.generateCSV(
+      scheduleData,
+      this.getTermCalendar(scheduleData, semesterInfo),
+      examModel.parseExams(exams).exams
     );
   }
 
-  formatDate(date) {
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const year = date.getFullYear();
-    return `${month}/${day}/${year}`;
+  generateICS(scheduleData, semesterInfo = {}, exams = []) {
+    return calendarExport.generateICS(scheduleData, this.getTermCalendar(scheduleData, semesterInfo), {
+      exams: examModel.parseExams(exams).exams
+    });
   }
 
-  sanitizeCsvField(text) {
-    if (!text || typeof text !== 'string') return '';
-    return text.trim()
-      .replace(/[\r\n\t]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .substring(0, 255);
+  // Two-term courses listed under the Fall or Winter term run past the December
+  // break, so they need the combined Fall/Winter calendar and its closures.
+  getTermCalendar(scheduleData, semesterInfo = {}) {
+    const term = semesterInfo.term || scheduleData.find(course => course.term)?.term || this.getCurrentTerm();
+    const calendar = calendarService.getCalendar(term);
+    const twoTermSession = scheduleModel.getFallWinterTerm(term);
+    const runsOutsideTerm = scheduleData.some(course =>
+      (course.startDate && course.startDate < calendar.classesStart) ||
+      (course.endDate && course.endDate > calendar.classesEnd)
+    );
+
+    return calendarExport.resolveCalendar(
+      twoTermSession && runsOutsideTerm ? calendarService.getCalendar(twoTermSession) : calendar,
+      semesterInfo
+    );
   }
 
   getCurrentTerm() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-
-    if (month >= 8) { // September onwards
-      return `${year}2`; // Fall term
-    } else if (month >= 4) { // May onwards
-      return `${year}4`; // Summer term
-    } else { // January to April
-      return `${year}1`; // Winter term
-    }
+    return scheduleModel.getCurrentTerm();
   }
 
-  parseEnrolledCourses(courseText) {
-    const courses = [];
-    const lines = courseText.split('\n').map(line => line.trim()).filter(line => line);
+  // Reads enrolled classes from pasted text: a copied "My Class Schedule" page
+  // (course heading, then one row per class), a registration confirmation
+  // email, or a plain "COMP 248 EC" / "COMP 248 ECEK" list. Lines naming the
+  // same course are merged into its components. Lines that look like neither
+  // a class nor page boilerplate come back in `unrecognized`; `termAssumed`
+  // is set when no term was given or named, and the current term was used.
+  parseEnrolledCourses(courseText, term = null) {
+    const lines = courseText.split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim());
+    const namedTerm = term || lines.map(line => scheduleModel.termFromLabel(line)).find(Boolean);
+    const detectedTerm = namedTerm || this.getCurrentTerm();
+    const courses = new Map();
+    const unrecognized = [];
+    let current = null;
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const courseMatch = line.match(/^([A-Z]{4}\s+\d{3}[A-Z\-]*)/);
-      
-      if (courseMatch) {
-        const courseCode = courseMatch[1];
-        let section = '';
-        
-        // Look for section in same line or nearby lines
-        const sectionMatch = line.match(/([A-Z]{2,3})\s*\((\d+)\)/);
-        if (sectionMatch) {
-          section = sectionMatch[2];
+    const report = (index, reason) => unrecognized.push({ line: index + 1, text: lines[index].substring(0, 200), reason });
+
+    const getCourse = (code, index) => {
+      if (!courses.has(code)) {
+        if (courses.size >= MAX_PASTED_COURSES) {
+          report(index, `Only the first ${MAX_PASTED_COURSES} courses are read`);
+          return null;
+        }
+        courses.set(code, { code, term: detectedTerm, components: [] });
+      }
+      return courses.get(code);
+    };
+
+    // A section is one component of a course, so "COMP 248 AA" and a later
+    // "COMP248-AA Lecture (1101)" fill in the same entry
+    const addComponent = (course, component) => {
+      const known = course.components.find(existing => existing.section === component.section);
+      if (!known) {
+        course.components.push(component);
+        return;
+      }
+      known.component = known.component || component.component;
+      known.classNumber = known.classNumber || component.classNumber;
+    };
+
+    lines.forEach((line, index) => {
+      if (!line) return;
+
+      const courseMatch = line.match(PASTED_COURSE_PATTERN);
+
+      if (!courseMatch) {
+        const row = line.match(PASTED_CLASS_ROW_PATTERN);
+        if (row && current && PASTED_COMPONENT_PATTERN.test(row[3])) {
+          addComponent(current, { section: row[2].toUpperCase(), component: courseService.normalizeClassType(row[3]), classNumber: row[1] });
+        } else if (current && PASTED_SKIPPED_STATUS_PATTERN.test(line) && line.length < 40) {
+          // Status line under a course heading of a copied page
+          courses.delete(current.code);
+          report(index, `${current.code} is not enrolled, skipped`);
+          current = null;
+        } else if (!PASTED_NOISE_PATTERN.test(line) && !scheduleModel.termFromLabel(line)) {
+          report(index, /^[A-Za-z]{2,5}\s*\d{2,4}/.test(line) ? 'Not a valid course code' : 'No course code found');
         }
+        return;
+      }
+
+      const code = `${courseMatch[1].toUpperCase()} ${courseMatch[2].toUpperCase()}`;
+      if (PASTED_SKIPPED_STATUS_PATTERN.test(line)) {
+        report(index, `${code} is not enrolled, skipped`);
+        current = null;
+        return;
+      }
+
+      const course = getCourse(code, index);
+      current = course;
+      if (!course) return;
 
-        courses.push({
-          code: courseCode.replace(/\s+/g, ' ').trim(),
-          section: section,
-          term: this.getCurrentTerm()
+      // "COMP 248 - EC" names a section, "COMP 248 - Object-Oriented Programming I" is a heading
+      const typedInCapitals = courseMatch[1] === courseMatch[1].toUpperCase();
+      const rest = line.slice(courseMatch.index + courseMatch[0].length);
+      const sectionMatch = rest.match(PASTED_SECTION_PATTERN);
+      const section = sectionMatch && !PASTED_COMPONENT_PATTERN.test(sectionMatch[1]) &&
+        (!typedInCapitals || sectionMatch[1] === sectionMatch[1].toUpperCase()) ? sectionMatch[1].toUpperCase() : null;
+      const componentToken = rest.split(/[\s/|:,;()]+/).find(token => PASTED_COMPONENT_PATTERN.test(token));
+      const classNumberMatch = rest.match(/\((\d{4,5})\)/) || rest.match(/class\s*(?:nbr|number|#)\s*:?\s*(\d{4,5})/i);
+
+      if (section) {
+        addComponent(course, {
+          section,
+          component: componentToken ? courseService.normalizeClassType(componentToken) : null,
+          classNumber: classNumberMatch ? classNumberMatch[1] : ''
         });
       }
+    });
+
+    return {
+      term: detectedTerm,
+      termAssumed: !namedTerm,
+      courses: Array.from(courses.values()).map(course => this.toCourseData(course)),
+      unrecognized
+    };
+  }
+
+  // A lone section without component or class number stays a plain `section`,
+  // which selectEnrolledSections expands to the linked tutorials and labs
+  toCourseData({ code, term, components }) {
+    const [first] = components;
+    if (!components.length) {
+      return { code, term };
+    }
+    if (components.length === 1 && !first.component && !first.classNumber) {
+      return { code, term, section: first.section };
     }
 
-    return courses;
+    const lecture = components.find(component => component.component === 'Lecture') || first;
+    return {
+      code,
+      term,
+      section: lecture.section,
+      components: components.map(({ section, component, classNumber }) => ({
+        section,
+        ...(component ? { component } : {}),
+        ...(classNumber ? { classNumber } : {})
+      }))
+    };
   }
 }
 
-module.exports = new ScheduleService();
\ No newline at end of file
+module.exports = new ScheduleService();
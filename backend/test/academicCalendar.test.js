@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const academicCalendar = require('../../shared/academicCalendar');
+const calendarExport = require('../../shared/calendarExport');
+const calendarService = require('../services/calendarService');
+
+const CALENDAR_DIR = path.join(__dirname, '..', '..', 'shared', 'calendars');
+
+// What the extension does without the server: the bundled files, or nothing
+const loadBundled = term => {
+  const file = path.join(CALENDAR_DIR, `${term}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+describe('academicCalendar', () => {
+  ['20242', '20252', '20253', '20254', '20261', '20271'].forEach(term => {
+    it(`builds the same ${term} calendar from the bundled files as the backend`, () => {
+      assert.deepEqual(academicCalendar.buildCalendar(term, loadBundled), calendarService.getCalendar(term));
+    });
+  });
+
+  it('gives local exports the holidays and make-up days of an official term', () => {
+    const calendar = calendarExport.resolveCalendar(academicCalendar.buildCalendar('20252', loadBundled));
+    const mondayClass = { code: 'COMP 248', section: 'AA', day: 0, startTime: '10:15', endTime: '11:30' };
+    const dates = calendarExport.getMeetingDates(mondayClass, calendar).map(academicCalendar.formatISODate);
+
+    assert.equal(calendar.source, 'official');
+    assert.ok(!dates.includes('2025-10-13'), 'Thanksgiving is skipped');
+    assert.ok(dates.includes('2025-12-02'), 'the Tuesday following a Monday schedule is added');
+  });
+
+  it('combines Fall and Winter into the two-term session with the December break', () => {
+    const calendar = academicCalendar.buildCalendar('20253', loadBundled);
+
+    assert.equal(calendar.classesStart, '2025-09-02');
+    assert.equal(calendar.classesEnd, '2026-04-13');
+    assert.deepEqual(calendar.breaks.find(period => period.name === 'Winter break'), {
+      name: 'Winter break', start: '2025-12-03', end: '2026-01-04'
+    });
+  });
+
+  it('estimates a term without a file, with its statutory holidays', () => {
+    const calendar = academicCalendar.buildCalendar('20272', () => null);
+
+    assert.equal(calendar.source, 'estimated');
+    assert.equal(calendar.classesStart, '2027-09-07');
+    assert.deepEqual(calendar.holidays.map(holiday => holiday.name), ['Thanksgiving']);
+  });
+
+  it('rejects unknown versions and term codes', () => {
+    assert.throws(() => academicCalendar.buildCalendar('20252', () => ({ version: 2 })), /Unsupported academic calendar version 2/);
+    assert.throws(() => academicCalendar.buildCalendar('2025', () => null), /Invalid term code/);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const cacheService = require('../services/cacheService');
+const { MemoryStore, FileStore } = require('../services/cacheStores');
+
+describe('cacheService.getOrFetch', () => {
+  beforeEach(t => {
+    cacheService.store = new MemoryStore();
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  // An entry that stopped being fresh a minute ago
+  const storeStale = (key, value) => cacheService.store.set(key, {
+    value,
+    storedAt: Date.now() - 3600 * 1000,
+    freshUntil: Date.now() - 60 * 1000
+  }, 3600);
+
+  it('serves a stale value at once, then refreshes it in the background', async () => {
+    await storeStale('courses:COMP 248', 'old');
+    let resolveFetch;
+    const fetcher = () => new Promise(resolve => { resolveFetch = resolve; });
+
+    const served = await cacheService.track(async () => ({
+      value: await cacheService.getOrFetch('courses:COMP 248', 60, fetcher),
+      stale: cacheService.isStale()
+    }));
+
+    assert.deepEqual(served, { value: 'old', stale: true });
+
+    resolveFetch('new');
+    await cacheService.refreshing.get('courses:COMP 248');
+
+    assert.equal(await cacheService.getOrFetch('courses:COMP 248', 60, () => assert.fail('a fresh entry is not fetched')), 'new');
+  });
+
+  it('refreshes a stale key once however many requests serve it', async () => {
+    await storeStale('courses:COMP 248', 'old');
+    let fetches = 0;
+    const fetcher = async () => { fetches++; return 'new'; };
+
+    const values = await Promise.all([1, 2, 3].map(() => cacheService.getOrFetch('courses:COMP 248', 60, fetcher)));
+    await cacheService.refreshing.get('courses:COMP 248');
+
+    assert.deepEqual(values, ['old', 'old', 'old']);
+    assert.equal(fetches, 1);
+  });
+
+  it('keeps serving the stale value when the refresh fails', async () => {
+    await storeStale('courses:COMP 248', 'old');
+
+    await cacheService.getOrFetch('courses:COMP 248', 60, async () => { throw new Error('Upstream down'); });
+    await cacheService.refreshing.get('courses:COMP 248');
+
+    assert.equal((await cacheService.store.get('courses:COMP 248')).value, 'old');
+  });
+
+  it('waits for the upstream with revalidate: "wait", and falls back to the stale value', async () => {
+    await storeStale('courses:COMP 248', 'old');
+
+    assert.equal(await cacheService.getOrFetch('courses:COMP 248', 60, async () => 'new', { revalidate: 'wait' }), 'new');
+
+    await storeStale('courses:COMP 248', 'old');
+    const failing = async () => { throw new Error('Upstream down'); };
+    assert.equal(await cacheService.getOrFetch('courses:COMP 248', 60, failing, { revalidate: 'wait' }), 'old');
+  });
+});
+
+describe('FileStore', () => {
+  let directory;
+  let store;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'concordiasync-cache-'));
+    store = new FileStore(path.join(directory, 'cache'));
+  });
+
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('reads back what it wrote', async () => {
+    const entry = { value: { code: 'COMP 248', sections: [{ section: 'AA', days: [0, 2] }] }, storedAt: 1, freshUntil: 2 };
+    await store.set('courses:COMP 248', entry, 60);
+
+    assert.deepEqual(await store.get('courses:COMP 248'), entry);
+    assert.equal(await store.get('courses:COMP 249'), null);
+  });
+
+  it('survives concurrent writes to one key, without leftover files', async () => {
+    await Promise.all([1, 2, 3].map(version => store.set('rooms:H', { version }, 60)));
+
+    assert.ok([1, 2, 3].includes((await store.get('rooms:H')).version));
+    assert.deepEqual((await fs.readdir(store.directory)).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('drops expired entries', async () => {
+    await store.set('courses:SOEN 287', { value: 'old' }, -1);
+
+    assert.equal(await store.get('courses:SOEN 287'), null);
+    await assert.rejects(fs.access(store.getPath('courses:SOEN 287')), { code: 'ENOENT' });
+  });
+
+  it('overwrites an entry in place', async () => {
+    await store.set('courses:COMP 248', { value: 'first' }, 60);
+    await store.set('courses:COMP 248', { value: 'second' }, 60);
+
+    assert.deepEqual(await store.get('courses:COMP 248'), { value: 'second' });
+    await store.delete('courses:COMP 248');
+    assert.equal(await store.get('courses:COMP 248'), null);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'portal');
+const SCRIPTS = ['shared/scheduleModel.js', 'js/content.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const MONDAY = 0;
+const TUESDAY = 1;
+const WEDNESDAY = 2;
+const THURSDAY = 3;
+const FRIDAY = 4;
+
+// Loads a saved portal page with the content scripts, as the manifest injects
+// them, and asks for the schedule the way the popup does
+function extractFromPage(fixture) {
+  const dom = new JSDOM(fs.readFileSync(path.join(FIXTURES, fixture), 'utf8'), {
+    url: 'https://campus.concordia.ca/psc/pscsprd/EMPLOYEE/SA/c/SA_LEARNER_SERVICES.SSR_SSENRL_LIST.GBL',
+    runScripts: 'outside-only'
+  });
+  let onMessage = null;
+  let response = null;
+
+  dom.window.console = { log() {}, warn() {}, error() {} };
+  dom.window.chrome = { runtime: { onMessage: { addListener: listener => { onMessage = listener; } } } };
+  SCRIPTS.forEach(source => dom.window.eval(source));
+
+  onMessage({ action: 'extractCourses' }, {}, result => { response = result; });
+  dom.window.close();
+
+  // Back to plain objects: the popup gets them as a JSON message
+  return JSON.parse(JSON.stringify(response));
+}
+
+describe('content script on saved portal pages', () => {
+  describe('list view', () => {
+    const response = extractFromPage('listView.html');
+    const byCode = code => response.data.find(course => course.code === code);
+
+    it('reads the enrolled courses of the term in the page header', () => {
+      assert.equal(response.success, true);
+      assert.equal(response.view, 'list');
+      assert.deepEqual(response.data.map(({ code, title, term, status }) => ({ code, title, term, status })), [
+        { code: 'COMP 248', title: 'Object-Oriented Programming I', term: '20252', status: 'Enrolled' },
+        { code: 'PHYS 205', title: 'Electricity and Magnetism', term: '20252', status: 'Enrolled' },
+        { code: 'ENGR 201', title: 'Professional Practice and Responsibility', term: '20252', status: 'Enrolled' }
+      ]);
+    });
+
+    it('reads each meeting with its days, 24-hour times, room, instructor and dates', () => {
+      assert.deepEqual(byCode('COMP 248').meetings, [
+        {
+          classNumber: '1101', section: 'AA', component: 'Lecture', days: [MONDAY, WEDNESDAY],
+          startTime: '10:15', endTime: '11:30', location: 'H 110', instructor: 'Jane Doe',
+          startDate: '2025-09-02', endDate: '2025-12-01'
+        },
+        {
+          classNumber: '1102', section: 'AAAB', component: 'Tutorial', days: [FRIDAY],
+          startTime: '13:15', endTime: '14:05', location: 'H 411', instructor: 'Staff',
+          startDate: '2025-09-02', endDate: '2025-12-01'
+        }
+      ]);
+      assert.deepEqual(byCode('COMP 248').components, [
+        { section: 'AA', component: 'Lecture', classNumber: '1101' },
+        { section: 'AAAB', component: 'Tutorial', classNumber: '1102' }
+      ]);
+    });
+
+    it('gives continuation rows the class of the row above', () => {
+      const phys = byCode('PHYS 205');
+
+      assert.deepEqual(phys.meetings.map(({ classNumber, section, component, days, startDate, endDate }) =>
+        ({ classNumber, section, component, days, startDate, endDate })), [
+        { classNumber: '2240', section: 'UI-X', component: 'Laboratory', days: [TUESDAY], startDate: '2025-09-09', endDate: '2025-10-14' },
+        { classNumber: '2240', section: 'UI-X', component: 'Laboratory', days: [TUESDAY], startDate: '2025-11-04', endDate: '2025-12-01' }
+      ]);
+      assert.deepEqual(phys.components, [{ section: 'UI-X', component: 'Laboratory', classNumber: '2240' }]);
+    });
+
+    it('keeps classes without a meeting time, without meetings', () => {
+      assert.deepEqual(byCode('ENGR 201').meetings, []);
+    });
+
+    it('leaves out dropped classes', () => {
+      assert.equal(byCode('MATH 205'), undefined);
+    });
+  });
+
+  describe('weekly view', () => {
+    const response = extractFromPage('weeklyView.html');
+    const byCode = code => response.data.find(course => course.code === code);
+
+    it('reads one course per code, in the order of the grid', () => {
+      assert.equal(response.success, true);
+      assert.equal(response.view, 'weekly');
+      assert.deepEqual(response.data.map(({ code, term, section }) => ({ code, term, section })), [
+        { code: 'MATH 205', term: '20252', section: 'J' },
+        { code: 'ENCS 282', term: '20252', section: 'QQ' },
+        { code: 'COMP 248', term: '20252', section: 'AA' }
+      ]);
+    });
+
+    it('merges the days of a class and skips the cells under a rowspan', () => {
+      assert.deepEqual(byCode('MATH 205').meetings, [{
+        classNumber: '4410', section: 'J', component: 'Lecture', days: [TUESDAY, THURSDAY],
+        startTime: '08:45', endTime: '10:00', location: 'MB S2.210', instructor: '',
+        startDate: null, endDate: null
+      }]);
+      // Tuesday and Thursday of the 9:00AM row are under MATH 205's cells
+      assert.deepEqual(byCode('ENCS 282').meetings.map(({ days, startTime }) => ({ days, startTime })), [
+        { days: [FRIDAY], startTime: '09:00' }
+      ]);
+    });
+
+    it('keeps each component of a course apart', () => {
+      const comp = byCode('COMP 248');
+
+      assert.deepEqual(comp.meetings.map(({ section, component, days, startTime, endTime, location }) =>
+        ({ section, component, days, startTime, endTime, location })), [
+        { section: 'AA', component: 'Lecture', days: [MONDAY, WEDNESDAY], startTime: '10:15', endTime: '11:30', location: 'H 110' },
+        { section: 'AAAB', component: 'Tutorial', days: [FRIDAY], startTime: '13:15', endTime: '14:05', location: 'H 411' }
+      ]);
+      assert.deepEqual(comp.components, [
+        { section: 'AA', component: 'Lecture', classNumber: '1101' },
+        { section: 'AAAB', component: 'Tutorial', classNumber: '1102' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const scheduleService = require('../services/scheduleService');
+
+const row = overrides => ({
+  subject: 'COMP',
+  catalog: '248',
+  componentCode: 'LEC',
+  modays: 'N',
+  tuesdays: 'N',
+  wednesdays: 'N',
+  thursdays: 'N',
+  fridays: 'N',
+  saturdays: 'N',
+  sundays: 'N',
+  classStartTime: '00:00:00',
+  classEndTime: '00:00:00',
+  locationCode: '',
+  instructors: [],
+  ...overrides
+});
+
+// An in-person lecture with its tutorial, and an online lecture with no meetings
+const ROWS = [
+  row({ section: 'AA', classNumber: '1101', modays: 'Y', wednesdays: 'Y', classStartTime: '10:15:00', classEndTime: '11:30:00', locationCode: 'H 110' }),
+  row({ section: 'AAAB', classNumber: '1102', componentCode: 'TUT', fridays: 'Y', classStartTime: '13:15:00', classEndTime: '14:05:00', locationCode: 'H 411' }),
+  row({ section: 'EC', classNumber: '3315', locationCode: 'ONLINE' })
+];
+
+describe('per-course schedule results', () => {
+  beforeEach(t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(courseService, 'getCourseDetails', async (code, term) =>
+      courseService.combineCourseData(ROWS, [{ title: 'Object-Oriented Programming I' }], code, term));
+  });
+
+  const getResult = async courseInfo =>
+    (await scheduleService.getCourseSchedule({ code: 'COMP 248', term: '20252', ...courseInfo })).result;
+
+  it('keeps online sections apart from the ones with meetings', () => {
+    const details = courseService.combineCourseData(ROWS, [], 'COMP 248', '20252');
+
+    assert.deepEqual(details.sections.map(section => section.section), ['AA', 'AAAB']);
+    assert.deepEqual(details.unscheduledSections.map(section => section.section), ['EC']);
+  });
+
+  it('reports an enrolled online section as having no meetings', async () => {
+    const result = await getResult({ section: 'EC' });
+
+    assert.equal(result.status, 'no_meetings');
+    assert.equal(result.message, 'COMP 248: Lecture EC has no scheduled meetings (online or times to be announced)');
+  });
+
+  it('matches scraped components against online sections too', async () => {
+    const result = await getResult({ components: [{ section: 'EC', component: 'Lecture', classNumber: '3315' }] });
+
+    assert.equal(result.status, 'no_meetings');
+    assert.equal(result.eventCount, 0);
+  });
+
+  it('still exports the scheduled components of a course with an online one', async () => {
+    const result = await getResult({ components: [
+      { section: 'EC', component: 'Lecture', classNumber: '3315' },
+      { section: 'AAAB', component: 'Tutorial', classNumber: '1102' }
+    ] });
+
+    assert.equal(result.status, 'ok');
+    assert.equal(result.eventCount, 1);
+    assert.match(result.message, /Lecture EC has no scheduled meetings/);
+  });
+
+  it('reports a section that exists nowhere as not found', async () => {
+    const result = await getResult({ section: 'ZZ' });
+
+    assert.equal(result.status, 'section_not_found');
+    assert.deepEqual(result.missing, [{ section: 'ZZ', component: null }]);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const scheduleService = require('../services/scheduleService');
+const buildings = require('../../shared/buildings');
+
+const instructor = (firstName, lastName) => ({
+  firstName,
+  lastName,
+  role: 'Primary Instructor',
+  email: `${firstName}.${lastName}@concordia.ca`.toLowerCase()
+});
+
+// A co-taught Monday lecture in H 110, as the Open Data schedule endpoint returns it
+const ROW = {
+  subject: 'COMP',
+  catalog: '248',
+  section: 'AA',
+  componentCode: 'LEC',
+  classNumber: '1101',
+  modays: 'Y',
+  tuesdays: 'N',
+  wednesdays: 'N',
+  thursdays: 'N',
+  fridays: 'N',
+  saturdays: 'N',
+  sundays: 'N',
+  classStartTime: '10:15:00',
+  classEndTime: '11:30:00',
+  locationCode: 'H 110',
+  instructors: [instructor('Alexandra', 'Martin'), instructor('Samuel', 'Lee'), instructor('Jean-Pierre', 'Côté')]
+};
+
+// The Description column of the first CSV row
+function csvDescription(events) {
+  const [, row] = scheduleService.generateCSV(events, { term: '20252' }).split('\n');
+  return row.split('","')[6];
+}
+
+describe('CSV descriptions', () => {
+  const details = courseService.combineCourseData([ROW], [{ title: 'Object-Oriented Programming I', creditValue: '3.5' }], 'COMP 248', '20252');
+  const events = scheduleService.convertToScheduleEvents(details, details.sections[0]);
+
+  it('keeps the map link and every instructor of a co-taught section', () => {
+    const description = csvDescription(events);
+
+    assert.ok(description.length > 255, 'the description is past the limit of the other columns');
+    assert.ok(description.includes(buildings.getMapsUrl('H 110')));
+    assert.match(description, /Jean-Pierre Côté \(Primary Instructor, jean-pierre\.côté@concordia\.ca\)$/);
+  });
+
+  it('puts the instructors last, so a cut description keeps the map link', () => {
+    const [event] = events;
+    const description = csvDescription([{ ...event, description: `${event.description} | ${'x'.repeat(1024)}` }]);
+
+    assert.equal(description.length, 1024);
+    assert.ok(description.indexOf(buildings.getMapsUrl('H 110')) < description.indexOf('Instructors:'));
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calendarExport = require('../../shared/calendarExport');
+const calendarService = require('../services/calendarService');
+
+const calendar = calendarExport.resolveCalendar(calendarService.getCalendar('20252'));
+
+const lab = { code: 'PHYS 205', subject: 'PHYS 205', section: 'UI-X', day: 1, location: 'SP 365.01' };
+
+const readUids = ics => ics.split('\r\n').filter(line => line.startsWith('UID:')).map(line => line.slice(4));
+
+describe('event UIDs', () => {
+  it('keeps apart two meetings of a section on the same weekday', () => {
+    const morning = { ...lab, startTime: '08:45', endTime: '11:30' };
+    const afternoon = { ...lab, startTime: '14:45', endTime: '17:30' };
+    const uids = readUids(calendarExport.generateICS([morning, afternoon], calendar));
+
+    assert.deepEqual(uids, ['phys205-uix-1-0845@concordiasync', 'phys205-uix-1-1445@concordiasync']);
+  });
+
+  it('keeps apart back-to-back date ranges of a meeting', () => {
+    const first = { ...lab, startTime: '14:45', endTime: '17:30', startDate: '2025-09-09', endDate: '2025-10-14' };
+    const second = { ...first, location: 'SP 265.03', startDate: '2025-10-21', endDate: '2025-12-01' };
+    const uids = readUids(calendarExport.generateICS([first, second], calendar));
+
+    assert.deepEqual(uids, ['phys205-uix-1-1445-20250909@concordiasync', 'phys205-uix-1-1445-20251021@concordiasync']);
+  });
+
+  it('gives a meeting the same UID on every export', () => {
+    const meeting = { ...lab, startTime: '14:45', endTime: '17:30' };
+
+    assert.equal(calendarExport.generateEventUid(meeting), calendarExport.generateEventUid({ ...meeting, location: 'SP 265.03' }));
+  });
+});
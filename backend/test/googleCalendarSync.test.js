@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const createMockCalendarServer = require('../mock/googleCalendarServer');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'js', 'googleCalendar.js'), 'utf8');
+const CALENDAR_NAME = 'Concordia – Fall 2025';
+
+// js/googleCalendar.js as the popup loads it, with chrome.storage kept in memory
+function loadGoogleCalendar(storage) {
+  const context = vm.createContext({
+    fetch,
+    URL,
+    URLSearchParams,
+    console,
+    chrome: {
+      storage: {
+        local: {
+          get: async key => (key in storage ? { [key]: structuredClone(storage[key]) } : {}),
+          set: async values => Object.assign(storage, structuredClone(values))
+        }
+      }
+    }
+  });
+  context.window = context;
+  vm.runInContext(SOURCE, context);
+  return context.window.ConcordiaGoogleCalendar;
+}
+
+const lecture = (summary = 'COMP 248') => ({
+  summary,
+  start: { dateTime: '2025-09-08T10:15:00', timeZone: 'America/Montreal' },
+  end: { dateTime: '2025-09-08T11:30:00', timeZone: 'America/Montreal' },
+  recurrence: ['RRULE:FREQ=WEEKLY;UNTIL=20251202T045959Z']
+});
+
+describe('Google Calendar sync against the mock Calendar API', () => {
+  let server;
+  let apiBaseUrl;
+  let storage;
+  let GoogleCalendar;
+
+  const auth = { getToken: async () => 'test-token', removeToken: async () => {} };
+
+  const api = async requestPath => (await fetch(`${apiBaseUrl}${requestPath}`, {
+    headers: { Authorization: 'Bearer test' }
+  })).json();
+
+  const listEvents = async calendarId =>
+    (await api(`/calendars/${encodeURIComponent(calendarId)}/events`)).items.map(item => ({
+      summary: item.summary,
+      uid: item.extendedProperties.private.concordiaSyncUid
+    }));
+
+  const sync = (events, options) => GoogleCalendar.syncEvents({
+    term: '20252',
+    calendarName: CALENDAR_NAME,
+    timeZone: 'America/Montreal',
+    events,
+    apiBaseUrl,
+    auth,
+    ...options
+  });
+
+  // A fresh mock, and so an empty Google account, per test
+  beforeEach(async () => {
+    await new Promise(resolve => {
+      server = createMockCalendarServer().listen(0, '127.0.0.1', resolve);
+    });
+    apiBaseUrl = `http://127.0.0.1:${server.address().port}/calendar/v3`;
+    storage = {};
+    GoogleCalendar = loadGoogleCalendar(storage);
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('creates the term calendar and its events on the first sync', async () => {
+    const result = await sync([
+      { uid: 'comp248-aa-0@concordiasync', resource: lecture() },
+      { uid: 'comp248-aaaa-2@concordiasync', resource: lecture('COMP 248 Tutorial') }
+    ]);
+
+    assert.deepEqual({ ...result, calendarId: undefined }, { created: 2, updated: 0, deleted: 0, unchanged: 0, calendarId: undefined });
+    assert.equal((await api(`/calendars/${encodeURIComponent(result.calendarId)}`)).summary, CALENDAR_NAME);
+    assert.deepEqual(await listEvents(result.calendarId), [
+      { summary: 'COMP 248', uid: 'comp248-aa-0@concordiasync' },
+      { summary: 'COMP 248 Tutorial', uid: 'comp248-aaaa-2@concordiasync' }
+    ]);
+  });
+
+  it('only writes what changed on later syncs', async () => {
+    const first = await sync([
+      { uid: 'comp248-aa-0@concordiasync', resource: lecture() },
+      { uid: 'comp248-aaaa-2@concordiasync', resource: lecture('COMP 248 Tutorial') },
+      { uid: 'comp249-pp-1@concordiasync', resource: lecture('COMP 249') }
+    ]);
+    const second = await sync([
+      { uid: 'comp248-aa-0@concordiasync', resource: lecture() },
+      { uid: 'comp248-aaaa-2@concordiasync', resource: lecture('COMP 248 Tutorial (H 411)') }
+    ]);
+
+    assert.equal(second.calendarId, first.calendarId);
+    assert.deepEqual({ ...second, calendarId: undefined }, { created: 0, updated: 1, deleted: 1, unchanged: 1, calendarId: undefined });
+    assert.deepEqual(await listEvents(first.calendarId), [
+      { summary: 'COMP 248', uid: 'comp248-aa-0@concordiasync' },
+      { summary: 'COMP 248 Tutorial (H 411)', uid: 'comp248-aaaa-2@concordiasync' }
+    ]);
+  });
+
+  it('adopts the events of an earlier install instead of duplicating them', async () => {
+    const events = [{ uid: 'comp248-aa-0@concordiasync', resource: lecture() }];
+    const first = await sync(events);
+
+    Object.keys(storage).forEach(key => delete storage[key]);
+    const second = await sync(events);
+
+    assert.equal(second.calendarId, first.calendarId);
+    assert.equal(second.created, 0);
+    assert.equal(second.updated, 1);
+    assert.equal((await listEvents(first.calendarId)).length, 1);
+  });
+
+  // The mock rejects an empty bearer token as Google does an expired one
+  it('drops a rejected token and signs in again once', async () => {
+    const issued = ['', 'fresh-token'];
+    const removed = [];
+    const result = await sync([{ uid: 'comp248-aa-0@concordiasync', resource: lecture() }], {
+      auth: { getToken: async () => issued.shift(), removeToken: async token => removed.push(token) }
+    });
+
+    assert.equal(result.created, 1);
+    assert.deepEqual(removed, ['']);
+    assert.deepEqual(issued, []);
+  });
+
+  it('reports API errors with their status', async () => {
+    const rejected = { getToken: async () => '', removeToken: async () => {} };
+
+    await assert.rejects(sync([], { auth: rejected }),
+      error => error.name === 'GoogleCalendarError' && error.status === 401 && error.message === 'Login Required');
+  });
+});
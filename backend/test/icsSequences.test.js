@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calendarExport = require('../../shared/calendarExport');
+const calendarService = require('../services/calendarService');
+
+const calendar = calendarExport.resolveCalendar(calendarService.getCalendar('20252'));
+
+const lecture = { code: 'COMP 248', subject: 'COMP 248', section: 'AA', day: 0, startTime: '10:15', endTime: '11:30', location: 'H 110' };
+const tutorial = { code: 'COMP 248', subject: 'COMP 248', section: 'AAAA', day: 2, startTime: '14:45', endTime: '16:25', location: 'H 411' };
+const moved = { ...lecture, location: 'H 937' };
+
+const LECTURE_UID = 'comp248-aa-0-1015@concordiasync';
+const TUTORIAL_UID = 'comp248-aaaa-2-1445@concordiasync';
+// Tuesday December 2 follows a Monday schedule
+const LECTURE_MAKEUP_UID = 'comp248-aa-0-1015-20251202@concordiasync';
+
+const exam = {
+  code: 'COMP 248', term: '20252', date: '2025-12-12', startTime: '09:00', endTime: '12:00', location: 'H 110',
+  subject: 'COMP 248 - Final Exam', description: 'COMP 248 final exam | Location: H 110'
+};
+const rescheduled = { ...exam, date: '2025-12-15' };
+const EXAM_UID = 'comp248-20252-exam@concordiasync';
+
+const noChanges = { added: [], removed: [], modified: [] };
+
+// SEQUENCE and STATUS of each VEVENT, by UID
+function readEvents(ics) {
+  return ics.split('BEGIN:VEVENT').slice(1).reduce((events, block) => {
+    const field = name => (new RegExp(`\r\n${name}:(.*)\r\n`).exec(block) || [])[1];
+    events[field('UID')] = { sequence: field('SEQUENCE') || null, status: field('STATUS') || null };
+    return events;
+  }, {});
+}
+
+describe('ICS sequences', () => {
+  it('leaves SEQUENCE out of events that never changed', () => {
+    const events = readEvents(calendarExport.generateICS([lecture, tutorial], calendar));
+
+    assert.equal(events[LECTURE_UID].sequence, null);
+    assert.equal(events[TUTORIAL_UID].sequence, null);
+  });
+
+  it('increases the sequence of every event a change touches, make-up days included', () => {
+    const sequences = calendarExport.updateSequences({}, {
+      ...noChanges,
+      modified: [{ previous: lecture, current: moved, changes: ['location'] }]
+    }, calendar);
+
+    assert.deepEqual(sequences, { [LECTURE_UID]: 1, [LECTURE_MAKEUP_UID]: 1 });
+  });
+
+  it('keeps increasing the sequence over successive changes', () => {
+    const first = calendarExport.updateSequences({}, { ...noChanges, modified: [{ previous: lecture, current: moved }] }, calendar);
+    const second = calendarExport.updateSequences(first, { ...noChanges, modified: [{ previous: moved, current: lecture }] }, calendar);
+    const unchanged = calendarExport.updateSequences(second, null, calendar);
+
+    assert.equal(second[LECTURE_UID], 2);
+    assert.deepEqual(unchanged, second);
+    assert.equal(first[LECTURE_UID], 1, 'earlier sequences are left as they were');
+  });
+
+  it('writes the sequence on modified events', () => {
+    const sequences = { [LECTURE_UID]: 3 };
+    const events = readEvents(calendarExport.generateICS([moved], calendar, { cancelled: [lecture], sequences }));
+
+    assert.deepEqual(events[LECTURE_UID], { sequence: '3', status: null });
+  });
+
+  it('cancels removed events with their sequence', () => {
+    const sequences = calendarExport.updateSequences({}, { ...noChanges, removed: [tutorial] }, calendar);
+    const events = readEvents(calendarExport.generateICS([], calendar, { cancelled: [tutorial], sequences }));
+
+    assert.deepEqual(events[TUTORIAL_UID], { sequence: '1', status: 'CANCELLED' });
+  });
+
+  it('gives a re-added event a higher sequence than its cancellation', () => {
+    const removed = calendarExport.updateSequences({}, { ...noChanges, removed: [tutorial] }, calendar);
+    const readded = calendarExport.updateSequences(removed, { ...noChanges, added: [tutorial] }, calendar);
+    const events = readEvents(calendarExport.generateICS([tutorial], calendar, { sequences: readded }));
+
+    assert.deepEqual(events[TUTORIAL_UID], { sequence: '2', status: null });
+  });
+
+  it('leaves SEQUENCE out of exams on their first import', () => {
+    const sequences = calendarExport.updateExamSequences({}, null, [exam]);
+    const events = readEvents(calendarExport.generateICS([], calendar, { exams: [exam], sequences }));
+
+    assert.deepEqual(sequences, {});
+    assert.equal(events[EXAM_UID].sequence, null);
+  });
+
+  it('raises the sequence of a rescheduled exam on each import that changes it', () => {
+    const first = calendarExport.updateExamSequences({}, [exam], [rescheduled]);
+    const unchanged = calendarExport.updateExamSequences(first, [rescheduled], [rescheduled]);
+    const second = calendarExport.updateExamSequences(unchanged, [rescheduled], [exam]);
+    const events = readEvents(calendarExport.generateICS([], calendar, { exams: [exam], sequences: second }));
+
+    assert.deepEqual(first, { [EXAM_UID]: 1 });
+    assert.deepEqual(unchanged, first);
+    assert.equal(events[EXAM_UID].sequence, '2');
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const instructorService = require('../services/instructorService');
+
+const instructor = (name, role = 'Primary Instructor') => ({ name, role, email: null });
+
+const OFFERINGS = [
+  {
+    code: 'COMP 249',
+    title: 'Object-Oriented Programming II',
+    sections: [
+      { section: 'PP', type: 'LEC', classNumber: '1201', instructors: [instructor('Alex Martin'), instructor('Sam Lee', 'Co-Instructor')], schedule: [] }
+    ]
+  },
+  {
+    code: 'COMP 248',
+    title: 'Object-Oriented Programming I',
+    sections: [
+      { section: 'AA', type: 'LEC', classNumber: '1101', instructors: [instructor('Maria Martinez')], schedule: [] },
+      { section: 'BB', type: 'LEC', classNumber: '1102', instructors: [instructor('Jean-Pierre Côté')], schedule: [] }
+    ]
+  }
+];
+
+describe('instructorService.findSections', () => {
+  beforeEach(t => {
+    t.mock.method(courseService, 'getTermOfferings', async () => OFFERINGS);
+  });
+
+  const findNames = async query => {
+    const { instructors } = await instructorService.findSections('20252', query);
+    return instructors.map(({ name }) => name);
+  };
+
+  const cases = [
+    { query: 'martin', expected: ['Alex Martin'] },
+    { query: 'MARTIN', expected: ['Alex Martin'] },
+    { query: 'Martin, Alex', expected: ['Alex Martin'] },
+    { query: 'alex martin', expected: ['Alex Martin'] },
+    { query: 'martinez', expected: ['Maria Martinez'] },
+    { query: 'mart', expected: [] },
+    { query: 'alex lee', expected: [] },
+    { query: 'cote', expected: ['Jean-Pierre Côté'] },
+    { query: 'Côté', expected: ['Jean-Pierre Côté'] },
+    { query: 'jean', expected: ['Jean-Pierre Côté'] },
+    { query: 'Jean-Pierre Cote', expected: ['Jean-Pierre Côté'] },
+    { query: ' , ', expected: [] }
+  ];
+
+  cases.forEach(({ query, expected }) => {
+    it(`matches "${query}" on whole name words`, async () => {
+      assert.deepEqual(await findNames(query), expected);
+    });
+  });
+
+  it('lists the matching sections in course order with the matching roles', async () => {
+    const { sections } = await instructorService.findSections('20252', 'lee');
+
+    assert.deepEqual(sections.map(({ code, section, roles }) => ({ code, section, roles })), [
+      { code: 'COMP 249', section: 'PP', roles: [{ name: 'Sam Lee', role: 'Co-Instructor' }] }
+    ]);
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const createMockOpenDataServer = require('../mock/openDataServer');
+const { OpenDataClient, CircuitOpenError } = require('../services/openDataClient');
+
+const COMP_248 = '/course/schedule/filter/COMP/248/*/2251';
+const COMP_249 = '/course/schedule/filter/COMP/249/*/2251';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('OpenDataClient against the mock Open Data server', () => {
+  let server;
+  let baseURL;
+
+  const setFaults = faults => axios.put(`${baseURL}/__faults`, faults);
+  const getCalls = async requestPath => (await axios.get(`${baseURL}/__stats`)).data[requestPath] || 0;
+
+  const createClient = options => new OpenDataClient({ baseURL, retryDelay: 10, ...options });
+
+  before(async () => {
+    await new Promise(resolve => {
+      server = createMockOpenDataServer({}, { mode: 'replay' }).listen(0, '127.0.0.1', resolve);
+    });
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    await setFaults({ latency: 0, jitter: 0, errorRate: 0, errorStatus: 503, hangRate: 0, rateLimit: 0, rateWindow: 60 });
+    await axios.delete(`${baseURL}/__stats`);
+  });
+
+  describe('retries', () => {
+    it('retries 5xx answers up to `retries` times, then gives up', async () => {
+      await setFaults({ errorRate: 1 });
+      const client = createClient({ retries: 2 });
+
+      await assert.rejects(client.get(COMP_248), error => error.response.status === 503);
+      assert.equal(await getCalls(COMP_248), 3);
+      assert.equal(client.getStatus().consecutiveFailures, 1);
+    });
+
+    it('does not retry answers such as 404', async () => {
+      const client = createClient({ retries: 2 });
+
+      await assert.rejects(client.get('/course/schedule/filter/XXXX/999/*/2251'), error => error.response.status === 404);
+      assert.equal(await getCalls('/course/schedule/filter/XXXX/999/*/2251'), 1);
+      assert.equal(client.getStatus().consecutiveFailures, 0);
+    });
+
+    it('retries network errors', async () => {
+      const client = new OpenDataClient({ baseURL: 'http://127.0.0.1:1', retries: 1, retryDelay: 10 });
+      const attempts = [];
+      client.http.interceptors.request.use(config => {
+        attempts.push(config.url);
+        return config;
+      });
+
+      await assert.rejects(client.get(COMP_248), error => error.code === 'ECONNREFUSED');
+      assert.equal(attempts.length, 2);
+    });
+
+    it('backs off exponentially with full jitter, capped at maxRetryDelay', t => {
+      const client = createClient({ retryDelay: 100, maxRetryDelay: 1000 });
+      t.mock.method(Math, 'random', () => 0.999999);
+
+      const delays = [0, 1, 2, 3, 4].map(attempt => Math.round(client.getRetryDelay({}, attempt)));
+      assert.deepEqual(delays, [100, 200, 400, 800, 1000]);
+
+      Math.random.mock.mockImplementation(() => 0);
+      assert.equal(client.getRetryDelay({}, 3), 0);
+    });
+  });
+
+  describe('request coalescing', () => {
+    it('shares one upstream call between identical concurrent requests', async () => {
+      await setFaults({ latency: 50 });
+      const client = createClient();
+
+      const responses = await Promise.all([
+        client.get(COMP_248),
+        client.get(COMP_248),
+        client.get(COMP_248)
+      ]);
+
+      assert.equal(await getCalls(COMP_248), 1);
+      assert.ok(responses.every(response => response === responses[0]));
+    });
+
+    it('calls again once the shared request has finished', async () => {
+      const client = createClient();
+
+      await client.get(COMP_248);
+      await client.get(COMP_248);
+
+      assert.equal(await getCalls(COMP_248), 2);
+    });
+
+    it('keeps requests with different params apart', async () => {
+      const client = createClient();
+
+      await Promise.all([
+        client.get(COMP_248, { params: { page: 1 } }),
+        client.get(COMP_248, { params: { page: 2 } })
+      ]);
+
+      assert.equal(await getCalls(COMP_248), 2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('opens after `failureThreshold` failed requests and then fails fast', async () => {
+      await setFaults({ errorRate: 1 });
+      const client = createClient({ retries: 0, failureThreshold: 2, cooldown: 60000 });
+
+      await assert.rejects(client.get(COMP_248));
+      await assert.rejects(client.get(COMP_248));
+      assert.equal(client.getStatus().circuit, 'open');
+
+      await assert.rejects(client.get(COMP_248), CircuitOpenError);
+      assert.equal(await getCalls(COMP_248), 2);
+    });
+
+    it('lets a single trial call through after the cooldown and closes when it succeeds', async () => {
+      await setFaults({ errorRate: 1 });
+      const client = createClient({ retries: 0, failureThreshold: 1, cooldown: 50 });
+
+      await assert.rejects(client.get(COMP_248));
+      await sleep(60);
+      await setFaults({ errorRate: 0, latency: 30 });
+
+      const [trial, other] = await Promise.allSettled([client.get(COMP_248), client.get(COMP_249)]);
+      assert.equal(trial.status, 'fulfilled');
+      assert.ok(other.reason instanceof CircuitOpenError);
+      assert.equal(client.getStatus().circuit, 'closed');
+      assert.equal(await getCalls(COMP_249), 0);
+    });
+
+    it('reopens without retrying when the trial call fails', async () => {
+      await setFaults({ errorRate: 1 });
+      const client = createClient({ retries: 3, failureThreshold: 1, cooldown: 50 });
+
+      await assert.rejects(client.get(COMP_248));
+      await axios.delete(`${baseURL}/__stats`);
+      await sleep(60);
+
+      await assert.rejects(client.get(COMP_248), error => error.response.status === 503);
+      assert.equal(await getCalls(COMP_248), 1);
+      assert.equal(client.getStatus().circuit, 'open');
+    });
+
+    it('stops retrying once the circuit has opened during the backoff', async () => {
+      await setFaults({ errorRate: 1 });
+      const client = createClient({ retries: 3, retryDelay: 200, maxRetryDelay: 200, failureThreshold: 1, cooldown: 60000 });
+      client.getRetryDelay = () => 200;
+
+      const request = client.get(COMP_248);
+      await sleep(50);
+      // Another request exhausting its retries opens the circuit meanwhile
+      client.recordFailure();
+
+      await assert.rejects(request, CircuitOpenError);
+      assert.equal(await getCalls(COMP_248), 1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('waits for the reset once the quota is spent instead of sending more requests', async () => {
+      await setFaults({ rateLimit: 1, rateWindow: 1 });
+      const client = createClient({ retries: 0 });
+
+      await client.get(COMP_248);
+      assert.ok(client.getStatus().rateLimitedUntil);
+
+      const startedAt = Date.now();
+      await client.get(COMP_249);
+
+      assert.ok(Date.now() - startedAt >= 500, 'second request waited for the rate limit window');
+      assert.equal(await getCalls(COMP_249), 1);
+    });
+
+    it('retries a 429 after the Retry-After delay', async () => {
+      await setFaults({ rateLimit: 1, rateWindow: 1 });
+      const client = createClient({ retries: 1, maxRetryDelay: 5000 });
+
+      const startedAt = Date.now();
+      const results = await Promise.allSettled([client.get(COMP_248), client.get(COMP_249)]);
+
+      assert.ok(results.every(result => result.status === 'fulfilled'));
+      assert.equal((await getCalls(COMP_248)) + (await getCalls(COMP_249)), 3);
+      assert.ok(Date.now() - startedAt >= 500, 'the rejected request waited before retrying');
+      assert.equal(client.getStatus().consecutiveFailures, 0);
+    });
+
+    it('reads Retry-After as seconds or as an HTTP date', () => {
+      const client = createClient();
+
+      assert.equal(client.parseRetryAfter('3'), 3000);
+      assert.equal(client.parseRetryAfter(undefined), null);
+      assert.equal(client.parseRetryAfter('soon'), null);
+
+      const delay = client.parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+      assert.ok(delay > 8000 && delay <= 10000);
+      assert.equal(client.parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+    });
+
+    it('caps a long Retry-After at maxRetryDelay', () => {
+      const client = createClient({ maxRetryDelay: 2000 });
+      const error = { response: { status: 429, headers: { 'retry-after': '120' } } };
+
+      assert.equal(client.getRetryDelay(error, 0), 2000);
+    });
+  });
+});
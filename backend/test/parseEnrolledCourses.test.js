@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduleService = require('../services/scheduleService');
+
+describe('scheduleService.parseEnrolledCourses', () => {
+  it('merges lines naming the same course and section', () => {
+    const { courses } = scheduleService.parseEnrolledCourses([
+      'Fall 2025',
+      'COMP 248 AA',
+      'COMP248-AA Lecture (1101)',
+      'COMP 248 AAAA TUT'
+    ].join('\n'));
+
+    assert.deepEqual(courses, [{
+      code: 'COMP 248',
+      term: '20252',
+      section: 'AA',
+      components: [
+        { section: 'AA', component: 'Lecture', classNumber: '1101' },
+        { section: 'AAAA', component: 'Tutorial' }
+      ]
+    }]);
+  });
+
+  it('keeps a repeated bare section as a plain section', () => {
+    const { courses, unrecognized } = scheduleService.parseEnrolledCourses('COMP 249 PP\ncomp 249 - PP', '20252');
+
+    assert.deepEqual(courses, [{ code: 'COMP 249', term: '20252', section: 'PP' }]);
+    assert.deepEqual(unrecognized, []);
+  });
+
+  it('fills in a class number given on a class row of the portal page', () => {
+    const { courses } = scheduleService.parseEnrolledCourses([
+      'SOEN 287 - Web Programming',
+      'SOEN 287 Q',
+      '1301 Q Lecture',
+      '1302 QA Tutorial'
+    ].join('\n'), '20252');
+
+    assert.deepEqual(courses[0].components, [
+      { section: 'Q', component: 'Lecture', classNumber: '1301' },
+      { section: 'QA', component: 'Tutorial', classNumber: '1302' }
+    ]);
+  });
+
+  it('uses a pasted term label', () => {
+    const { term, termAssumed, unrecognized } = scheduleService.parseEnrolledCourses('Winter 2026\nCOMP 248 AA');
+
+    assert.equal(term, '20261');
+    assert.equal(termAssumed, false);
+    assert.deepEqual(unrecognized, []);
+  });
+
+  it('reports the current term when none is named', () => {
+    const currentTerm = scheduleService.getCurrentTerm();
+    const { term, termAssumed, unrecognized } = scheduleService.parseEnrolledCourses('COMP 248 AA\nhello');
+
+    assert.equal(term, currentTerm);
+    assert.equal(termAssumed, true);
+    assert.deepEqual(unrecognized, [{ line: 2, text: 'hello', reason: 'No course code found' }]);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const roomService = require('../services/roomService');
+
+const meeting = (location, days, startTime, endTime, startDate = null, endDate = null) =>
+  ({ location, days, startTime, endTime, startDate, endDate, type: 'LEC' });
+
+// H 110: a full-term Tuesday class and one that only runs in the first half;
+// H 411 is never used on Tuesdays
+const OFFERINGS = [
+  {
+    code: 'COMP 248',
+    sections: [{ section: 'AA', type: 'LEC', schedule: [meeting('H 110', [1], '10:15', '11:30', '2025-09-02', '2025-12-01')] }]
+  },
+  {
+    code: 'COMP 249',
+    sections: [{ section: 'PP', type: 'LEC', schedule: [meeting('H 110', [1], '13:15', '14:30', '2025-09-02', '2025-10-17')] }]
+  },
+  {
+    code: 'SOEN 287',
+    sections: [{ section: 'Q', type: 'LEC', schedule: [meeting('H 411', [0, 2], '08:45', '10:00')] }]
+  }
+];
+
+describe('roomService', () => {
+  let term = 30000;
+
+  beforeEach(t => {
+    // A term of its own per test, so the cached room index is rebuilt
+    term++;
+    t.mock.method(courseService, 'getTermOfferings', async () => OFFERINGS);
+  });
+
+  const freeRooms = async options => (await roomService.findFreeRooms(String(term), {
+    day: 1, from: '13:30', to: '14:00', ...options
+  })).map(({ room, freeFrom, freeUntil }) => ({ room, freeFrom, freeUntil }));
+
+  it('counts every section as busy without a date', async () => {
+    assert.deepEqual(await freeRooms({}), [{ room: 'H 411', freeFrom: null, freeUntil: null }]);
+  });
+
+  it('ignores sections that have ended by the date', async () => {
+    assert.deepEqual(await freeRooms({ date: '2025-11-04' }), [
+      { room: 'H 110', freeFrom: '11:30', freeUntil: null },
+      { room: 'H 411', freeFrom: null, freeUntil: null }
+    ]);
+  });
+
+  it('counts sections running on the date', async () => {
+    assert.deepEqual(await freeRooms({ date: '2025-10-14' }), [{ room: 'H 411', freeFrom: null, freeUntil: null }]);
+  });
+
+  it('ignores sections that have not started yet', async () => {
+    assert.deepEqual(await freeRooms({ date: '2025-08-26' }), [
+      { room: 'H 110', freeFrom: null, freeUntil: null },
+      { room: 'H 411', freeFrom: null, freeUntil: null }
+    ]);
+  });
+
+  it('does not list rooms no class uses', async () => {
+    const rooms = await freeRooms({ building: 'MB' });
+    assert.deepEqual(rooms, []);
+  });
+
+  it('gives the dates of the week containing the date in the timeline', async () => {
+    const timeline = await roomService.getTimeline(String(term), 'h-110', '2025-11-06');
+    const tuesday = timeline.days[1];
+
+    assert.deepEqual(timeline.days.map(day => day.date), [
+      '2025-11-03', '2025-11-04', '2025-11-05', '2025-11-06', '2025-11-07', '2025-11-08', '2025-11-09'
+    ]);
+    assert.deepEqual(tuesday.meetings.map(({ code }) => code), ['COMP 248']);
+    assert.equal(timeline.busyMinutes, 75);
+  });
+
+  it('lists the whole term in the timeline without a date', async () => {
+    const timeline = await roomService.getTimeline(String(term), 'H110');
+
+    assert.equal(timeline.days[1].date, undefined);
+    assert.deepEqual(timeline.days[1].meetings.map(({ code }) => code), ['COMP 248', 'COMP 249']);
+  });
+
+  it('finds the weekday of a date', () => {
+    assert.equal(roomService.weekdayOfDate('2025-11-03'), 0);
+    assert.equal(roomService.weekdayOfDate('2025-11-09'), 6);
+  });
+});
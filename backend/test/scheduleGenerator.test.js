@@ -0,0 +1,130 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const scheduleGeneratorService = require('../services/scheduleGeneratorService');
+const { InvalidCursorError } = require('../services/pagination');
+
+const MONDAY = 0;
+const TUESDAY = 1;
+const WEDNESDAY = 2;
+const THURSDAY = 3;
+
+// A section as courseService.getCourseDetails links them, meeting once a week in H 110
+function section(name, type, day, startTime, endTime, parentSection = null) {
+  return {
+    section: name,
+    type,
+    classNumber: name,
+    parentSection,
+    instructor: 'Staff',
+    instructors: [],
+    capacity: 30,
+    enrolled: 10,
+    location: 'H 110',
+    schedule: [{ days: [day], startTime, endTime, location: 'H 110', startDate: null, endDate: null }]
+  };
+}
+
+const COURSES = {
+  'COMP 248': [
+    section('AA', 'Lecture', MONDAY, '10:15', '11:30'),
+    section('AAAA', 'Tutorial', WEDNESDAY, '10:15', '11:05', 'AA'),
+    section('AAAB', 'Tutorial', THURSDAY, '10:15', '11:05', 'AA'),
+    section('BB', 'Lecture', TUESDAY, '10:15', '11:30'),
+    section('BBBA', 'Tutorial', THURSDAY, '13:15', '14:05', 'BB')
+  ],
+  // Overlaps COMP 248 AA
+  'COMP 249': [section('PP', 'Lecture', MONDAY, '10:00', '11:00')],
+  // Same day as COMP 248 AA, after a 90-minute gap
+  'COMP 232': [section('QQ', 'Lecture', MONDAY, '13:00', '14:15')],
+  // Ten minutes after COMP 248 AAAA
+  'ENGR 201': [section('EC', 'Lecture', WEDNESDAY, '11:15', '12:05')]
+};
+
+// The sections of each course in a timetable, as "CODE SECTION+SECTION"
+const sectionsOf = timetable => timetable.courses.map(({ code, sections }) => `${code} ${sections.map(({ section }) => section).join('+')}`);
+
+describe('scheduleGeneratorService.generate', () => {
+  beforeEach(t => {
+    t.mock.method(courseService, 'getCourseDetails', async code => (COURSES[code] ? { code, sections: COURSES[code] } : null));
+  });
+
+  const generate = (courses, options = {}) => scheduleGeneratorService.generate({ term: '20252', courses, ...options });
+
+  it('pairs each lecture with one of its own linked tutorials', async () => {
+    const { data } = await generate(['COMP 248']);
+
+    assert.deepEqual(data.map(sectionsOf).flat().sort(), ['COMP 248 AA+AAAA', 'COMP 248 AA+AAAB', 'COMP 248 BB+BBBA']);
+    assert.deepEqual(data.find(timetable => sectionsOf(timetable)[0] === 'COMP 248 BB+BBBA').courseData, [{
+      code: 'COMP 248',
+      term: '20252',
+      components: [
+        { section: 'BB', component: 'Lecture', classNumber: 'BB' },
+        { section: 'BBBA', component: 'Tutorial', classNumber: 'BBBA' }
+      ]
+    }]);
+  });
+
+  it('leaves out sections that overlap another course', async () => {
+    const { data, total } = await generate(['COMP 248', 'COMP 249']);
+
+    assert.equal(total, 1);
+    assert.deepEqual(sectionsOf(data[0]), ['COMP 249 PP', 'COMP 248 BB+BBBA']);
+  });
+
+  it('ranks fewer days on campus before shorter gaps', async () => {
+    const { data } = await generate(['COMP 248', 'COMP 232', 'ENGR 201'], { limit: 5 });
+
+    assert.deepEqual(data.map(({ rank, metrics }) => [rank, metrics.daysOnCampus, metrics.totalGapMinutes]), [
+      [1, 2, 100],
+      [2, 3, 90],
+      [3, 4, 0]
+    ]);
+    assert.deepEqual(sectionsOf(data[2]), ['COMP 232 QQ', 'ENGR 201 EC', 'COMP 248 BB+BBBA']);
+    assert.ok(data.every((timetable, index) => index === 0 || timetable.score <= data[index - 1].score));
+  });
+
+  it('reports courses without any allowed section', async () => {
+    const { data, unavailable } = await generate(['COMP 249', 'SOEN 287'], { constraints: { daysOff: [MONDAY] } });
+
+    assert.deepEqual(data, []);
+    assert.deepEqual(unavailable, [
+      { code: 'COMP 249', reason: 'no_matching_sections' },
+      { code: 'SOEN 287', reason: 'not_found' }
+    ]);
+  });
+
+  it('flags the result as truncated when there are too many timetables to enumerate', async t => {
+    // 18 interchangeable lectures for each of three courses on its own day: 5832 timetables
+    const manySections = day => Array.from({ length: 18 }, (_, index) => section(`S${index}`, 'Lecture', day, '10:15', '11:30'));
+    const many = { 'MATH 203': manySections(MONDAY), 'MATH 204': manySections(TUESDAY), 'MATH 205': manySections(WEDNESDAY) };
+    t.mock.method(courseService, 'getCourseDetails', async code => ({ code, sections: many[code] }));
+
+    const { total, truncated } = await generate(Object.keys(many));
+
+    assert.equal(truncated, true);
+    assert.equal(total, 5000);
+  });
+
+  it('is not truncated when every timetable was enumerated', async () => {
+    assert.equal((await generate(['COMP 248'])).truncated, false);
+  });
+
+  it('continues from a cursor issued for the same request', async () => {
+    const first = await generate(['COMP 248'], { limit: 2 });
+    const second = await generate(['COMP 248'], { limit: 2, cursor: first.nextCursor });
+
+    assert.deepEqual(second.data.map(({ rank }) => rank), [3]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects a cursor after the filters change', async () => {
+    const { nextCursor } = await generate(['COMP 248'], { limit: 1 });
+
+    await assert.rejects(
+      generate(['COMP 248'], { limit: 1, cursor: nextCursor, constraints: { daysOff: [THURSDAY] } }),
+      InvalidCursorError
+    );
+    await assert.rejects(generate(['COMP 248', 'COMP 232'], { limit: 1, cursor: nextCursor }), InvalidCursorError);
+  });
+});
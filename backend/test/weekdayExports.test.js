@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const courseService = require('../services/courseService');
+const scheduleService = require('../services/scheduleService');
+const calendarService = require('../services/calendarService');
+const scheduleModel = require('../../shared/scheduleModel');
+const calendarExport = require('../../shared/calendarExport');
+const academicCalendar = require('../../shared/academicCalendar');
+
+const JS_MONDAY = 1;
+
+// A Monday 10:15-11:30 lecture as the Open Data schedule endpoint returns it
+function openDataRow(overrides = {}) {
+  return {
+    subject: 'COMP',
+    catalog: '248',
+    section: 'AA',
+    componentCode: 'LEC',
+    classNumber: '1101',
+    modays: 'Y',
+    tuesdays: 'N',
+    wednesdays: 'N',
+    thursdays: 'N',
+    fridays: 'N',
+    saturdays: 'N',
+    sundays: 'N',
+    classStartTime: '10:15:00',
+    classEndTime: '11:30:00',
+    locationCode: 'H 110',
+    instructors: [],
+    ...overrides
+  };
+}
+
+function toEvents(term, row) {
+  const details = courseService.combineCourseData([row], [{ title: 'Object-Oriented Programming I', creditValue: '3.5' }], 'COMP 248', term);
+  return details.sections.flatMap(section => scheduleService.convertToScheduleEvents(details, section));
+}
+
+function localDate(year, month, day) {
+  return new Date(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10));
+}
+
+// Every class date of each export format, as [date, "HH:MM"]
+const EXPORTERS = {
+  CSV: (events, term) => scheduleService.generateCSV(events, { term })
+    .split('\n')
+    .slice(1)
+    .map(line => line.split('","'))
+    .map(([, date, time]) => {
+      const [month, day, year] = date.split('/');
+      return [localDate(year, month, day), time];
+    }),
+
+  ICS: (events, term) => scheduleService.generateICS(events, { term })
+    .replace(/\r\n /g, '')
+    .split('\r\n')
+    .filter(line => /^(DTSTART|EXDATE);TZID=/.test(line))
+    .map(line => {
+      const [, year, month, day, hours, minutes] = /:(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})/.exec(line);
+      return [localDate(year, month, day), `${hours}:${minutes}`];
+    }),
+
+  'Google Calendar': (events, term) => calendarExport
+    .buildEventSeries(events, scheduleService.getTermCalendar(events, { term }))
+    .map(calendarExport.buildGoogleEvent)
+    .flatMap(event => [event.start.dateTime, ...(event.recurrence || []).filter(rule => rule.startsWith('EXDATE')).map(rule => rule.split(':')[1])])
+    .map(value => {
+      const [, year, month, day, hours, minutes] = /(\d{4})-?(\d{2})-?(\d{2})T(\d{2}):?(\d{2})/.exec(value);
+      return [localDate(year, month, day), `${hours}:${minutes}`];
+    })
+};
+
+// Terms starting on a Monday (Winter, Summer) and on a Tuesday (Fall), with
+// and without make-up days, plus a term with no calendar file
+const TERMS = ['20242', '20251', '20252', '20254', '20261', '20284'];
+
+// Make-up days are the one place a Monday class may land on another weekday:
+// "Tuesday December 2 follows a Monday schedule"
+function isMondayMakeupDay(date, term) {
+  return calendarService.getCalendar(term).makeupDays
+    .some(makeup => makeup.follows === 'Monday' && academicCalendar.parseDate(makeup.date).getTime() === date.getTime());
+}
+
+describe('a Monday 10:15 Open Data class lands on Mondays in every export', () => {
+  ['America/Montreal', 'UTC', 'Asia/Tokyo', 'Pacific/Honolulu'].forEach(timeZone => {
+    describe(`with the clock in ${timeZone}`, () => {
+      const originalTimeZone = process.env.TZ;
+      before(() => { process.env.TZ = timeZone; });
+      after(() => {
+        if (originalTimeZone === undefined) delete process.env.TZ;
+        else process.env.TZ = originalTimeZone;
+      });
+
+      TERMS.forEach(term => Object.entries(EXPORTERS).forEach(([format, exportDates]) => {
+        it(`${format}, ${scheduleModel.getTermLabel(term)}`, () => {
+          const events = toEvents(term, openDataRow());
+          assert.deepEqual(events.map(event => event.day), [scheduleModel.WEEKDAYS.MONDAY]);
+
+          const dates = exportDates(events, term);
+          assert.ok(dates.length > 0);
+
+          dates.forEach(([date, time]) => {
+            assert.equal(time, '10:15');
+            assert.ok(date.getDay() === JS_MONDAY || isMondayMakeupDay(date, term),
+              `${date.toDateString()} is not a Monday`);
+          });
+        });
+      }));
+
+      // A section with its own dates, starting on a Thursday
+      Object.entries(EXPORTERS).forEach(([format, exportDates]) => {
+        it(`${format}, section starting mid-week`, () => {
+          const events = toEvents('20252', openDataRow({ classStartDate: '04/09/2025', classEndDate: '23/10/2025' }));
+          const dates = exportDates(events, '20252');
+
+          assert.equal(dates[0][0].getTime(), localDate(2025, 9, 8).getTime());
+          dates.forEach(([date]) => assert.equal(date.getDay(), JS_MONDAY));
+        });
+      });
+    });
+  });
+
+  describe('getFirstWeekdayOccurrence', () => {
+    const starts = ['2025-09-01', '2025-09-02', '2025-09-03', '2025-09-04', '2025-09-05', '2025-09-06', '2025-09-07'];
+
+    starts.forEach(start => scheduleModel.WEEKDAY_NAMES.forEach((name, weekday) => {
+      it(`finds the first ${name} from ${start}`, () => {
+        const date = scheduleModel.getFirstWeekdayOccurrence(academicCalendar.parseDate(start), weekday);
+        const daysAhead = (date - academicCalendar.parseDate(start)) / 86400000;
+
+        assert.equal(scheduleModel.weekdayOf(date), weekday);
+        assert.ok(Math.round(daysAhead) >= 0 && Math.round(daysAhead) < 7);
+      });
+    }));
+  });
+});
@@ -0,0 +1,93 @@
+importScripts('/js/settings.js', '/js/seatWatch.js');
+
+(function() {
+  'use strict';
+
+  const SeatWatch = self.ConcordiaSeatWatch;
+  const Settings = self.ConcordiaSettings;
+
+  const CONFIG = {
+    alarmName: 'seatWatch',
+    pollMinutes: 15
+  };
+
+  function ensureAlarm() {
+    chrome.alarms.get(CONFIG.alarmName, alarm => {
+      if (!alarm) {
+        chrome.alarms.create(CONFIG.alarmName, { delayInMinutes: 1, periodInMinutes: CONFIG.pollMinutes });
+      }
+    });
+  }
+
+  async function fetchSeatCounts(backendUrl, watch) {
+    const url = `${backendUrl}/api/seats/${encodeURIComponent(watch.term)}/${encodeURIComponent(watch.code)}` +
+      `?section=${encodeURIComponent(watch.section)}`;
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Server error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (!result.success || !result.data || !result.data.length) {
+      throw new Error('Invalid response from seat service');
+    }
+    return result.data[0];
+  }
+
+  function describeChange(watch, previous, counts) {
+    const label = `${watch.code} ${watch.type || ''} ${watch.section}`.replace(/\s+/g, ' ');
+    const openSeats = SeatWatch.getOpenSeats(counts);
+
+    if (previous && openSeats > SeatWatch.getOpenSeats(previous)) {
+      return {
+        title: `Seats open in ${label}`,
+        message: `${openSeats} of ${counts.capacity} seats available`
+      };
+    }
+    if (previous && counts.waitlist !== previous.waitlist) {
+      return {
+        title: `Waitlist moved for ${label}`,
+        message: `Waitlist ${previous.waitlist} → ${counts.waitlist}, ${openSeats} seats open`
+      };
+    }
+    return null;
+  }
+
+  async function checkWatches() {
+    const settings = await Settings.load();
+    if (settings.localOnly) return;
+
+    const watches = await SeatWatch.listWatches();
+
+    for (const watch of watches) {
+      try {
+        const counts = await fetchSeatCounts(settings.backendUrl, watch);
+        const result = await SeatWatch.updateWatch(watch.id, counts);
+        const change = result && result.changed ? describeChange(watch, result.previous, counts) : null;
+
+        if (change) {
+          chrome.notifications.create(`seatWatch:${watch.id}:${Date.now()}`, {
+            type: 'basic',
+            iconUrl: '/assets/icon-128.png',
+            title: change.title,
+            message: change.message,
+            priority: 2
+          });
+        }
+      } catch (error) {
+        console.warn(`ConcordiaSync: could not check seats for ${watch.id}:`, error.message);
+      }
+    }
+  }
+
+  chrome.runtime.onInstalled.addListener(ensureAlarm);
+  chrome.runtime.onStartup.addListener(ensureAlarm);
+
+  chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === CONFIG.alarmName) {
+      checkWatches();
+    }
+  });
+
+})();
@@ -1,6 +1,8 @@
 (function() {
   'use strict';
   
+  const Model = window.ConcordiaScheduleModel;
+  
   function sanitizeText(text) {
     if (!text || typeof text !== 'string') return '';
     return text.trim()
@@ -40,121 +42,388 @@
   }
   
   function parseDayString(daysStr) {
-    const dayMap = { 
-      'Mo': 0, 'Tu': 1, 'We': 2, 'Th': 3, 'Fr': 4, 'Sa': 5, 'Su': 6 
+    return Model.parseWeekdays(daysStr);
+  }
+  
+  function getTypeDescription(type) {
+    const typeMap = {
+      'LEC': 'Lecture',
+      'LAB': 'Laboratory', 
+      'TUT': 'Tutorial'
+    };
+    return typeMap[type] || 'Lecture';
+  }
+  
+  function readText(element) {
+    if (!element) return '';
+    return (element.textContent || '')
+      .replace(/[\u0000-\u001F\u007F-\u009F]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 500);
+  }
+  
+  function readLines(element) {
+    if (!element) return [];
+    const html = element.innerHTML || '';
+    const container = element.ownerDocument.createElement('div');
+    container.innerHTML = html.replace(/<br\s*\/?>/gi, '\n');
+    return (container.textContent || '')
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0);
+  }
+  
+  function normalizeComponent(text) {
+    const cleaned = (text || '').trim();
+    if (/^[A-Z]{3}$/.test(cleaned)) return getTypeDescription(cleaned);
+    return determineClassType(cleaned);
+  }
+  
+  function parseCourseHeading(text) {
+    const match = (text || '').match(/^([A-Z]{3,4})\s*(\d{3,4}[A-Z]?)\s*-\s*(.*)$/);
+    if (!match) return null;
+    return {
+      code: `${match[1]} ${match[2]}`,
+      title: match[3].trim()
     };
+  }
+  
+  // PeopleSoft shows dates as MM/DD/YYYY
+  function parseDateRange(text) {
+    const match = (text || '').match(/(\d{2})\/(\d{2})\/(\d{4})\s*-\s*(\d{2})\/(\d{2})\/(\d{4})/);
+    if (!match) return { startDate: null, endDate: null };
+    return {
+      startDate: `${match[3]}-${match[1]}-${match[2]}`,
+      endDate: `${match[6]}-${match[4]}-${match[5]}`
+    };
+  }
+  
+  // "MoWe 10:15AM - 11:30AM" -> days + times; "TBA" yields null
+  function parseMeetingSchedule(text) {
+    const match = (text || '').match(/^([A-Za-z]+)\s+(\d.*)$/);
+    if (!match) return null;
     
-    const days = [];
-    const dayPattern = /(Mo|Tu|We|Th|Fr|Sa|Su)/g;
-    let match;
+    const days = parseDayString(match[1]);
+    const times = parseTimeString(match[2]);
     
-    while ((match = dayPattern.exec(daysStr)) !== null) {
-      const dayNum = dayMap[match[1]];
-      if (dayNum !== undefined) {
-        days.push(dayNum);
+    if (!days.length || !times) return null;
+    return { days, startTime: times.start, endTime: times.end };
+  }
+  
+  // The Student Center renders its pages inside a same-origin iframe
+  function getScheduleDocuments() {
+    const documents = [document];
+    
+    document.querySelectorAll('iframe').forEach(frame => {
+      try {
+        if (frame.contentDocument && frame.contentDocument.body) {
+          documents.push(frame.contentDocument);
+        }
+      } catch (error) {
+        // Cross-origin frames cannot contain the schedule
       }
-    }
+    });
     
-    return days;
+    return documents;
   }
   
-  function parseTimeRange(startTime, endTime) {
-    const start = convertTo24Hour(startTime);
-    const end = convertTo24Hour(endTime);
+  function detectTerm(doc) {
+    const termElement = doc.querySelector('[id^="DERIVED_REGFRM1_SSR_STDNTKEY_DESCR"]');
+    const fromHeader = Model.termFromLabel(readText(termElement));
+    if (fromHeader) return fromHeader;
     
-    if (start && end) {
-      return { start, end };
-    }
-    return null;
+    const fromPage = Model.termFromLabel(readText(doc.body).substring(0, 2000));
+    return fromPage || getCurrentTerm();
   }
   
-  function convertTo24Hour(timeStr) {
-    const match = timeStr.match(/^(\d{1,2}):(\d{2})(AM|PM)?$/i);
-    if (!match) return null;
+  function getRowIndex(element) {
+    const match = (element.id || '').match(/\$(\d+)$/);
+    return match ? match[1] : null;
+  }
+  
+  // List view: one DERIVED_REGFRM1_DESCR20$n block per course, with a STATUS$n
+  // cell and one MTG_*$m row per meeting. Continuation rows of the same class
+  // leave the class number, section and component cells blank.
+  function scrapeListView(doc) {
+    const blocks = doc.querySelectorAll('[id^="win0divDERIVED_REGFRM1_DESCR20$"]');
+    if (!blocks.length) return null;
     
-    let [, hour, minute, period] = match;
-    hour = parseInt(hour, 10);
-    minute = parseInt(minute, 10);
+    const term = detectTerm(doc);
+    const courses = [];
     
-    if (period) {
-      if (period.toUpperCase() === 'PM' && hour !== 12) hour += 12;
-      if (period.toUpperCase() === 'AM' && hour === 12) hour = 0;
-    }
+    blocks.forEach(block => {
+      const heading = parseCourseHeading(readText(block.querySelector('.PAGROUPDIVIDER')));
+      if (!heading) return;
+      
+      const status = readText(block.querySelector('[id^="STATUS$"]'));
+      if (status && status.toLowerCase() !== 'enrolled') return;
+      
+      const meetings = [];
+      let current = { classNumber: '', section: '', component: '' };
+      
+      block.querySelectorAll('[id^="MTG_SCHED$"]').forEach(scheduleCell => {
+        const index = getRowIndex(scheduleCell);
+        const cell = prefix => readText(doc.getElementById(`${prefix}$${index}`));
+        
+        const classNumber = cell('DERIVED_CLS_DTL_CLASS_NBR');
+        if (classNumber) {
+          current = {
+            classNumber,
+            section: cell('MTG_SECTION'),
+            component: normalizeComponent(cell('MTG_COMP'))
+          };
+        }
+        
+        const schedule = parseMeetingSchedule(readText(scheduleCell));
+        if (!schedule) return;
+        
+        meetings.push({
+          ...current,
+          ...schedule,
+          location: cell('MTG_LOC'),
+          instructor: cell('DERIVED_CLS_DTL_SSR_INSTR_LONG'),
+          ...parseDateRange(cell('MTG_DATES'))
+        });
+      });
+      
+      courses.push({
+        code: heading.code,
+        title: heading.title,
+        section: meetings.length ? meetings[0].section : '',
+        status: status || 'Enrolled',
+        term,
+        components: getComponents(meetings),
+        meetings
+      });
+    });
     
-    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+    return courses;
   }
   
-  function getTypeDescription(type) {
-    const typeMap = {
-      'LEC': 'Lecture',
-      'LAB': 'Laboratory', 
-      'TUT': 'Tutorial'
-    };
-    return typeMap[type] || 'Lecture';
+  // One entry per enrolled class (lecture, tutorial, lab...) of a course
+  function getComponents(meetings) {
+    const components = [];
+    
+    meetings.forEach(meeting => {
+      const known = components.some(component =>
+        component.section === meeting.section && component.component === meeting.component
+      );
+      if (!known && meeting.section) {
+        components.push({
+          section: meeting.section,
+          component: meeting.component,
+          classNumber: meeting.classNumber
+        });
+      }
+    });
+    
+    return components;
   }
   
-  function extractEnrolledCourses() {
-    const courses = [];
+  // Weekly view: a time-by-day grid where each class is one rowspan cell
+  // reading "COMP 248 - EC / Lecture (1234) / 10:15AM - 11:30AM / H 110".
+  function scrapeWeeklyView(doc) {
+    const table = doc.querySelector('#WEEKLY_SCHED_HTMLAREA');
+    if (!table) return null;
     
-    try {
-      const pageText = document.body.textContent || document.body.innerText || '';
-      console.log('ConcordiaSync: Extracting enrolled courses from page');
-      console.log('ConcordiaSync: Page text sample:', pageText.substring(0, 1000));
-      
-      const lines = pageText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-      
-      const courseLines = lines.filter(line => /[A-Z]{4}\s+\d{3}/.test(line));
-      console.log('ConcordiaSync: Lines with course patterns:', courseLines);
+    const rows = Array.from(table.querySelectorAll('tr'));
+    if (!rows.length) return [];
+    
+    const columnDays = Array.from(rows[0].children).map(headerCell =>
+      Model.WEEKDAY_NAMES.findIndex(name => readText(headerCell).includes(name))
+    );
+    
+    const term = detectTerm(doc);
+    const coursesByCode = new Map();
+    const occupied = [];
+    
+    rows.slice(1).forEach((row, rowIndex) => {
+      let column = 0;
       
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
+      Array.from(row.children).forEach(cell => {
+        while (occupied[rowIndex] && occupied[rowIndex][column]) column++;
         
-        const courseMatch = line.match(/([A-Z]{4}\s+\d{3}[A-Z\-]*)/);
+        const span = parseInt(cell.getAttribute('rowspan') || '1', 10);
+        for (let offset = 1; offset < span; offset++) {
+          occupied[rowIndex + offset] = occupied[rowIndex + offset] || [];
+          occupied[rowIndex + offset][column] = true;
+        }
         
-        if (courseMatch) {
-          const courseCode = courseMatch[1];
-          let section = '';
-          
-          const sectionMatch = line.match(/([A-Z]{2,3})\s*\((\d+)\)/);
-          if (sectionMatch) {
-            section = sectionMatch[2];
-          }
-          
-          const cleanCode = courseCode.replace(/\s+/g, ' ').replace(/[^A-Z0-9\s]/g, '').trim();
-          
-          if (cleanCode.length >= 8) {
-            courses.push({
-              code: cleanCode.substring(0, 8),
-              section: section,
-              term: getCurrentTerm()
-            });
-            
-            console.log('ConcordiaSync: Found enrolled course:', { code: cleanCode.substring(0, 8), section, original: courseCode });
+        const day = columnDays[column];
+        column++;
+        if (day === undefined || day === -1) return;
+        
+        const lines = readLines(cell.querySelector('.SSSTEXTWEEKLY') || cell);
+        const heading = lines[0] && lines[0].match(/^([A-Z]{3,4})\s*(\d{3,4}[A-Z]?)\s*-\s*(\S+)/);
+        const times = lines[2] && parseTimeString(lines[2]);
+        if (!heading || !times) return;
+        
+        const code = `${heading[1]} ${heading[2]}`;
+        const section = heading[3];
+        const componentMatch = (lines[1] || '').match(/^(.*?)\s*\((\d+)\)/);
+        const meeting = {
+          classNumber: componentMatch ? componentMatch[2] : '',
+          section,
+          component: normalizeComponent(componentMatch ? componentMatch[1] : lines[1]),
+          days: [day],
+          startTime: times.start,
+          endTime: times.end,
+          location: lines[3] || '',
+          instructor: '',
+          startDate: null,
+          endDate: null
+        };
+        
+        if (!coursesByCode.has(code)) {
+          coursesByCode.set(code, { code, title: '', section, status: 'Enrolled', term, meetings: [] });
+        }
+        
+        const course = coursesByCode.get(code);
+        const sameMeeting = course.meetings.find(existing =>
+          existing.section === meeting.section &&
+          existing.startTime === meeting.startTime &&
+          existing.endTime === meeting.endTime &&
+          existing.location === meeting.location
+        );
+        
+        if (sameMeeting) {
+          if (!sameMeeting.days.includes(day)) {
+            sameMeeting.days.push(day);
+            sameMeeting.days.sort((a, b) => a - b);
           }
+        } else {
+          course.meetings.push(meeting);
         }
+      });
+    });
+    
+    return Array.from(coursesByCode.values()).map(course => ({
+      ...course,
+      components: getComponents(course.meetings)
+    }));
+  }
+  
+  // Header text → exam field; the first match wins, so "Class Description" is a
+  // title and "Exam Start Time" a start time rather than a date or time range
+  const EXAM_COLUMNS = [
+    ['title', /description|title/],
+    ['code', /^(class|course)( code| section)?$/],
+    ['startTime', /start/],
+    ['endTime', /end/],
+    ['date', /date/],
+    ['time', /time/],
+    ['building', /building|bldg/],
+    ['room', /room/],
+    ['location', /location/],
+    ['row', /^row/],
+    ['seat', /seat/]
+  ];
+  
+  const MONTH_PATTERN = /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/i;
+  
+  // "12/12/2025", "2025-12-12" or "Friday, December 12, 2025" -> 2025-12-12
+  function parseExamDate(text) {
+    const numeric = text.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+    if (numeric) return `${numeric[3]}-${numeric[1]}-${numeric[2]}`;
+    
+    const iso = text.match(/\d{4}-\d{2}-\d{2}/);
+    if (iso) return iso[0];
+    
+    const named = text.match(MONTH_PATTERN);
+    if (!named) return null;
+    
+    const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(named[1].toLowerCase()) + 1;
+    return `${named[3]}-${String(month).padStart(2, '0')}-${named[2].padStart(2, '0')}`;
+  }
+  
+  function getExamColumns(headerRow) {
+    const columns = {};
+    
+    Array.from(headerRow.cells).forEach((cell, index) => {
+      const text = readText(cell).toLowerCase();
+      const column = EXAM_COLUMNS.find(([name, pattern]) => columns[name] === undefined && pattern.test(text));
+      if (column) columns[column[0]] = index;
+    });
+    
+    return columns.code !== undefined && columns.date !== undefined &&
+      (columns.time !== undefined || columns.startTime !== undefined) ? columns : null;
+  }
+  
+  function parseExamRow(row, columns, term) {
+    const cell = name => columns[name] === undefined ? '' : readText(row.cells[columns[name]]);
+    
+    const course = cell('code').match(/([A-Z]{3,4})\s*(\d{3,4}[A-Z]?)(?:\s*-\s*([A-Z0-9]{1,6}))?/);
+    const date = parseExamDate(cell('date'));
+    const times = parseTimeString(columns.time !== undefined ? cell('time') : `${cell('startTime')} - ${cell('endTime')}`);
+    if (!course || !date || !times) return null;
+    
+    return {
+      code: `${course[1]} ${course[2]}`,
+      section: course[3] || '',
+      title: cell('title'),
+      term,
+      date,
+      startTime: times.start,
+      endTime: times.end,
+      building: cell('building'),
+      room: cell('room'),
+      location: cell('location'),
+      row: cell('row'),
+      seat: cell('seat')
+    };
+  }
+  
+  // Exam schedule: a grid whose header row names the columns ("Class", "Exam
+  // Date", "Exam Time", "Room", "Seat"...). Their order and set differ between
+  // the Student Center page and the exam office listing, so cells are read by
+  // header rather than by position.
+  function scrapeExamSchedule(doc) {
+    if (!/exam/i.test(readText(doc.body).substring(0, 3000))) return null;
+    
+    for (const table of doc.querySelectorAll('table')) {
+      const rows = Array.from(table.rows);
+      const headerIndex = rows.findIndex(row => getExamColumns(row));
+      if (headerIndex === -1) continue;
+      
+      const columns = getExamColumns(rows[headerIndex]);
+      const term = detectTerm(doc);
+      return rows.slice(headerIndex + 1)
+        .map(row => parseExamRow(row, columns, term))
+        .filter(Boolean);
+    }
+    
+    return null;
+  }
+  
+  function extractEnrolledCourses() {
+    const documents = getScheduleDocuments();
+    
+    for (const doc of documents) {
+      const listCourses = scrapeListView(doc);
+      if (listCourses) {
+        console.log('ConcordiaSync: Found list view with', listCourses.length, 'enrolled courses');
+        return { view: 'list', courses: listCourses };
       }
       
-      console.log('ConcordiaSync: Total enrolled courses found:', courses.length);
+      const weeklyCourses = scrapeWeeklyView(doc);
+      if (weeklyCourses) {
+        console.log('ConcordiaSync: Found weekly view with', weeklyCourses.length, 'enrolled courses');
+        return { view: 'weekly', courses: weeklyCourses };
+      }
       
-    } catch (error) {
-      console.error('ConcordiaSync: Error extracting enrolled courses:', error);
+      const exams = scrapeExamSchedule(doc);
+      if (exams) {
+        console.log('ConcordiaSync: Found exam schedule with', exams.length, 'exams');
+        return { view: 'exams', courses: [], exams };
+      }
     }
     
-    return courses;
+    return { view: null, courses: [], exams: [] };
   }
   
   function getCurrentTerm() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-
-    if (month >= 8) {
-      return `${year}2`;
-    } else if (month >= 4) {
-      return `${year}4`;
-    } else {
-      return `${year}1`;
-    }
+    return Model.getCurrentTerm();
   }
   
   function determineClassType(subject) {
@@ -167,10 +436,12 @@
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'extractCourses') {
       try {
-        const enrolledCourses = extractEnrolledCourses();
+        const extraction = extractEnrolledCourses();
         sendResponse({
           success: true,
-          data: enrolledCourses,
+          data: extraction.courses,
+          exams: extraction.exams || [],
+          view: extraction.view,
           url: window.location.href
         });
       } catch (error) {
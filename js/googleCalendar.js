@@ -0,0 +1,259 @@
+(function() {
+  'use strict';
+
+  const API_BASE_URL = 'https://www.googleapis.com/calendar/v3';
+  const STORAGE_KEY = 'googleCalendarSync';
+
+  class GoogleCalendarError extends Error {
+    constructor(message, status) {
+      super(message);
+      this.name = 'GoogleCalendarError';
+      this.status = status;
+    }
+  }
+
+  const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+  const CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar';
+
+  // A sign-in is `{ getToken(), removeToken(token) }`. By default the token
+  // comes from chrome.identity with the OAuth client of manifest.json.
+  const identityAuth = {
+    getToken() {
+      const { oauth2 } = chrome.runtime.getManifest();
+      if (!oauth2 || oauth2.client_id.startsWith('YOUR_CLIENT_ID')) {
+        return Promise.reject(new Error('No Google OAuth client is set up; enter one in Options or in manifest.json'));
+      }
+
+      return new Promise((resolve, reject) => {
+        chrome.identity.getAuthToken({ interactive: true }, token => {
+          if (chrome.runtime.lastError || !token) {
+            reject(new Error(chrome.runtime.lastError?.message || 'Google sign-in was cancelled'));
+          } else {
+            resolve(token);
+          }
+        });
+      });
+    },
+
+    removeToken(token) {
+      return new Promise(resolve => chrome.identity.removeCachedAuthToken({ token }, resolve));
+    }
+  };
+
+  // Signs in with a "Web application" OAuth client set in the options instead,
+  // for builds whose manifest has no client of their own.
+  function createWebAuth(clientId) {
+    let cachedToken = null;
+
+    return {
+      getToken() {
+        if (cachedToken) return Promise.resolve(cachedToken);
+
+        const params = new URLSearchParams({
+          client_id: clientId,
+          response_type: 'token',
+          redirect_uri: chrome.identity.getRedirectURL(),
+          scope: CALENDAR_SCOPE
+        });
+
+        return new Promise((resolve, reject) => {
+          chrome.identity.launchWebAuthFlow({ url: `${AUTH_URL}?${params}`, interactive: true }, responseUrl => {
+            const token = responseUrl && new URLSearchParams(new URL(responseUrl).hash.slice(1)).get('access_token');
+
+            if (chrome.runtime.lastError || !token) {
+              reject(new Error(chrome.runtime.lastError?.message || 'Google sign-in was cancelled'));
+            } else {
+              cachedToken = token;
+              resolve(token);
+            }
+          });
+        });
+      },
+
+      removeToken() {
+        cachedToken = null;
+        return Promise.resolve();
+      }
+    };
+  }
+
+  function getAuth(clientId) {
+    return clientId ? createWebAuth(clientId) : identityAuth;
+  }
+
+  function createClient(apiBaseUrl, auth) {
+    let token = null;
+
+    async function request(method, path, body, isRetry = false) {
+      token = token || await auth.getToken();
+
+      const response = await fetch(`${apiBaseUrl}${path}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      // Expired or revoked token: drop it and sign in again once
+      if (response.status === 401 && !isRetry) {
+        await auth.removeToken(token);
+        token = null;
+        return request(method, path, body, true);
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new GoogleCalendarError(
+          errorData.error?.message || `Google Calendar error: ${response.status}`,
+          response.status
+        );
+      }
+
+      return response.status === 204 ? null : response.json();
+    }
+
+    return { request };
+  }
+
+  function isGone(error) {
+    return error instanceof GoogleCalendarError && (error.status === 404 || error.status === 410);
+  }
+
+  function hashResource(resource) {
+    const text = JSON.stringify(resource);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  async function loadSyncState(term) {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const allTerms = stored[STORAGE_KEY] || {};
+    return allTerms[term] || { calendarId: null, events: {} };
+  }
+
+  async function saveSyncState(term, state) {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const allTerms = stored[STORAGE_KEY] || {};
+    allTerms[term] = state;
+    await chrome.storage.local.set({ [STORAGE_KEY]: allTerms });
+  }
+
+  async function ensureCalendar(client, calendarId, calendarName, timeZone) {
+    if (calendarId) {
+      try {
+        await client.request('GET', `/calendars/${encodeURIComponent(calendarId)}`);
+        return { calendarId, recreated: false };
+      } catch (error) {
+        if (!isGone(error)) throw error;
+      }
+    }
+
+    const calendarList = await client.request('GET', '/users/me/calendarList?minAccessRole=owner');
+    const existing = (calendarList.items || []).find(item => item.summary === calendarName);
+
+    if (existing) {
+      return { calendarId: existing.id, recreated: !!calendarId };
+    }
+
+    const created = await client.request('POST', '/calendars', { summary: calendarName, timeZone });
+    return { calendarId: created.id, recreated: !!calendarId };
+  }
+
+  // Events written by an earlier install carry their uid in a private extended
+  // property; adopting them avoids duplicates when the local sync state is gone.
+  async function loadRemoteEvents(client, calendarPath) {
+    const remote = {};
+    let pageToken = null;
+
+    do {
+      const query = `?maxResults=2500${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+      const page = await client.request('GET', `${calendarPath}${query}`);
+
+      (page.items || []).forEach(item => {
+        const uid = item.extendedProperties?.private?.concordiaSyncUid;
+        if (uid) remote[uid] = { eventId: item.id, hash: null };
+      });
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return remote;
+  }
+
+  // Brings the dedicated term calendar in line with `events` ({ uid, resource }),
+  // touching only events that were added, changed or removed since the last sync.
+  async function syncEvents({ term, calendarName, timeZone, events, apiBaseUrl = API_BASE_URL, auth = identityAuth }) {
+    const client = createClient(apiBaseUrl, auth);
+    const state = await loadSyncState(term);
+    const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+
+    const { calendarId, recreated } = await ensureCalendar(client, state.calendarId, calendarName, timeZone);
+    const calendarPath = `/calendars/${encodeURIComponent(calendarId)}/events`;
+    const isSameCalendar = !recreated && calendarId === state.calendarId;
+    const synced = isSameCalendar && Object.keys(state.events).length
+      ? { ...state.events }
+      : await loadRemoteEvents(client, calendarPath);
+    const seen = new Set();
+
+    // Progress is saved even when a request fails halfway, so the next run
+    // does not duplicate the events that were already written.
+    try {
+      for (const { uid, resource } of events) {
+        const hash = hashResource(resource);
+        const known = synced[uid];
+        const body = {
+          ...resource,
+          extendedProperties: { private: { concordiaSyncUid: uid } }
+        };
+        seen.add(uid);
+
+        if (known && known.hash === hash) {
+          summary.unchanged++;
+          continue;
+        }
+
+        if (known) {
+          try {
+            const updated = await client.request('PUT', `${calendarPath}/${encodeURIComponent(known.eventId)}`, body);
+            synced[uid] = { eventId: updated.id, hash };
+            summary.updated++;
+            continue;
+          } catch (error) {
+            if (!isGone(error)) throw error;
+          }
+        }
+
+        const created = await client.request('POST', calendarPath, body);
+        synced[uid] = { eventId: created.id, hash };
+        summary.created++;
+      }
+
+      for (const uid of Object.keys(synced)) {
+        if (seen.has(uid)) continue;
+
+        try {
+          await client.request('DELETE', `${calendarPath}/${encodeURIComponent(synced[uid].eventId)}`);
+        } catch (error) {
+          if (!isGone(error)) throw error;
+        }
+        delete synced[uid];
+        summary.deleted++;
+      }
+    } finally {
+      await saveSyncState(term, { calendarId, events: synced, syncedAt: new Date().toISOString() });
+    }
+
+    return { ...summary, calendarId };
+  }
+
+  window.ConcordiaGoogleCalendar = {
+    getAuth,
+    syncEvents,
+    GoogleCalendarError
+  };
+
+})();
@@ -0,0 +1,181 @@
+(function() {
+  'use strict';
+
+  const Settings = window.ConcordiaSettings;
+  const Edits = window.ConcordiaScheduleEdits;
+
+  const SAMPLE_EVENT = {
+    code: 'COMP 248',
+    subject: 'COMP 248 - Object-Oriented Programming I',
+    type: 'Lecture',
+    section: 'AA',
+    location: 'H 937',
+    instructor: 'Jane Doe'
+  };
+
+  const DOM = {};
+
+  function showStatus(message, type = 'info') {
+    DOM.status.textContent = message;
+    DOM.status.className = `status ${type}`;
+  }
+
+  function fillSelect(select, options) {
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  function render(settings) {
+    DOM.localOnly.checked = settings.localOnly;
+    DOM.backendUrl.value = Settings.isDefaultBackend(settings) ? '' : settings.backendUrl;
+    DOM.exportFormat.value = settings.exportFormat;
+    DOM.reminderMinutes.value = String(settings.reminderMinutes);
+    DOM.colorScheme.value = settings.colorScheme;
+    DOM.titleTemplate.value = settings.titleTemplate;
+    DOM.googleClientId.value = settings.googleClientId;
+    DOM.googleCalendarApiUrl.value = Settings.isDefaultGoogleCalendarApi(settings) ? '' : settings.googleCalendarApiUrl;
+    updateForm();
+  }
+
+  function updateForm() {
+    DOM.backendUrl.disabled = DOM.localOnly.checked;
+    DOM.testBtn.disabled = DOM.localOnly.checked;
+    DOM.titlePreview.textContent = Edits.formatTitle(SAMPLE_EVENT, DOM.titleTemplate.value.trim() || Settings.DEFAULTS.titleTemplate);
+  }
+
+  // Custom servers are outside the extension's host permissions until the
+  // user grants them; this has to run inside the click that saves.
+  function requestHostPermission(customUrls) {
+    if (!customUrls.length) return Promise.resolve(true);
+
+    const origins = customUrls.map(customUrl => {
+      const url = new URL(customUrl);
+      return `${url.protocol}//${url.hostname}/*`;
+    });
+    return chrome.permissions.request({ origins });
+  }
+
+  async function save(event) {
+    event.preventDefault();
+
+    const backendUrl = Settings.normalizeBackendUrl(DOM.backendUrl.value);
+    const googleCalendarApiUrl = Settings.normalizeGoogleCalendarApiUrl(DOM.googleCalendarApiUrl.value);
+    const googleClientId = Settings.normalizeGoogleClientId(DOM.googleClientId.value);
+    if (!backendUrl || !googleCalendarApiUrl) {
+      showStatus('Enter an https:// URL (plain http:// only works for localhost)', 'error');
+      return;
+    }
+    if (googleClientId === null) {
+      showStatus('Enter an OAuth client ID ending in .apps.googleusercontent.com', 'error');
+      return;
+    }
+
+    const customUrls = [
+      ...(DOM.localOnly.checked || backendUrl === Settings.DEFAULT_BACKEND_URL ? [] : [backendUrl]),
+      ...(googleCalendarApiUrl === Settings.DEFAULT_GOOGLE_CALENDAR_API_URL ? [] : [googleCalendarApiUrl])
+    ];
+
+    try {
+      const granted = await requestHostPermission(customUrls);
+      if (!granted) {
+        showStatus(`ConcordiaSync needs permission to contact ${customUrls.join(' and ')}`, 'error');
+        return;
+      }
+
+      const settings = await Settings.save({
+        backendUrl,
+        localOnly: DOM.localOnly.checked,
+        exportFormat: DOM.exportFormat.value,
+        reminderMinutes: parseInt(DOM.reminderMinutes.value, 10),
+        colorScheme: DOM.colorScheme.value,
+        titleTemplate: DOM.titleTemplate.value,
+        googleClientId,
+        googleCalendarApiUrl
+      });
+      render(settings);
+      showStatus('Options saved', 'success');
+    } catch (error) {
+      console.error('ConcordiaSync failed to save options:', error);
+      showStatus(`Could not save options: ${error.message}`, 'error');
+    }
+  }
+
+  async function testConnection() {
+    const backendUrl = Settings.normalizeBackendUrl(DOM.backendUrl.value);
+    if (!backendUrl) {
+      showStatus('Enter an https:// URL (plain http:// only works for localhost)', 'error');
+      return;
+    }
+
+    DOM.testBtn.disabled = true;
+    showStatus(`Contacting ${backendUrl}...`, 'info');
+
+    try {
+      const response = await fetch(`${backendUrl}/health`, { signal: AbortSignal.timeout(10000) });
+      const health = await response.json().catch(() => ({}));
+
+      if (!response.ok || health.status !== 'healthy') {
+        throw new Error(`unexpected response (${response.status})`);
+      }
+
+      const upstream = health.upstream && health.upstream.circuit !== 'closed' ? ', Concordia API currently unavailable' : '';
+      showStatus(`Connected to ConcordiaSync ${health.version || ''}${upstream}`, upstream ? 'info' : 'success');
+    } catch (error) {
+      showStatus(`Could not reach ${backendUrl}: ${error.message}`, 'error');
+    } finally {
+      DOM.testBtn.disabled = DOM.localOnly.checked;
+    }
+  }
+
+  async function resetToDefaults() {
+    try {
+      render(await Settings.save(Settings.DEFAULTS));
+      showStatus('Defaults restored', 'success');
+    } catch (error) {
+      console.error('ConcordiaSync failed to reset options:', error);
+      showStatus('Could not restore the defaults', 'error');
+    }
+  }
+
+  async function initialize() {
+    ['optionsForm', 'localOnly', 'backendUrl', 'testBtn', 'exportFormat', 'reminderMinutes', 'colorScheme',
+      'titleTemplate', 'titlePreview', 'googleClientId', 'redirectUrl', 'googleCalendarApiUrl', 'resetBtn', 'status'].forEach(id => {
+      DOM[id] = document.getElementById(id);
+    });
+
+    DOM.backendUrl.placeholder = Settings.DEFAULT_BACKEND_URL;
+    DOM.googleCalendarApiUrl.placeholder = Settings.DEFAULT_GOOGLE_CALENDAR_API_URL;
+    DOM.redirectUrl.textContent = chrome.identity.getRedirectURL();
+    fillSelect(DOM.exportFormat, Settings.EXPORT_FORMATS);
+    fillSelect(DOM.reminderMinutes, Edits.REMINDER_OPTIONS.map(minutes => ({
+      value: String(minutes),
+      label: minutes ? `${minutes} min before` : 'No reminder'
+    })));
+    fillSelect(DOM.colorScheme, Settings.COLOR_SCHEMES);
+
+    DOM.optionsForm.addEventListener('submit', save);
+    DOM.localOnly.addEventListener('change', updateForm);
+    DOM.titleTemplate.addEventListener('input', updateForm);
+    DOM.testBtn.addEventListener('click', testConnection);
+    DOM.resetBtn.addEventListener('click', resetToDefaults);
+
+    try {
+      render(await Settings.load());
+    } catch (error) {
+      console.error('ConcordiaSync failed to load options:', error);
+      render(Settings.DEFAULTS);
+      showStatus('Could not load your saved options', 'error');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+
+})();
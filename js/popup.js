@@ -1,32 +1,118 @@
 (function() {
   'use strict';
   
+  const Model = window.ConcordiaScheduleModel;
+  const Edits = window.ConcordiaScheduleEdits;
+  const Store = window.ConcordiaScheduleStore;
+  const Diff = window.ConcordiaScheduleDiff;
+  const SeatWatch = window.ConcordiaSeatWatch;
+  const Settings = window.ConcordiaSettings;
+  const ExamModel = window.ConcordiaExamModel;
+  const Buildings = window.ConcordiaBuildings;
+  const CalendarExport = window.ConcordiaCalendarExport;
+  const AcademicCalendar = window.ConcordiaAcademicCalendar;
+  
+  // Order of the campus headings in the course list; null is online or TBA
+  const CAMPUS_ORDER = ['SGW', 'LOY', null];
+  
   const STATE = {
     extractedCourses: [],
     enrolledCourses: [],
+    calendar: null,
+    conflicts: [],
+    courseResults: [],
+    exams: createEmptyExams(null),
+    changes: null,
+    sequences: {},
+    edits: Edits.createEmptyEdits(),
+    search: { params: null, nextCursor: null },
+    settings: Settings.DEFAULTS,
+    previewMode: 'list',
     isProcessing: false
   };
   
-  const CONFIG = {
-    backendUrl: 'https://concordiasync-production.up.railway.app'
-  };
+  function createEmptyExams(term) {
+    return { term, exams: [], conflicts: [], rejected: [], sequences: {} };
+  }
   
   const DOM = {
+    optionsBtn: null,
     extractBtn: null,
     exportBtn: null,
+    exportIcsBtn: null,
+    syncBtn: null,
+    pasteSchedule: null,
+    pasteInput: null,
+    pasteBtn: null,
+    pasteProblems: null,
     status: null,
     preview: null,
-    courseList: null
+    courseList: null,
+    listViewBtn: null,
+    gridViewBtn: null,
+    timetable: null,
+    eventDetails: null,
+    conflictList: null,
+    courseResults: null,
+    courseResultItems: null,
+    examList: null,
+    examConflicts: null,
+    examItems: null,
+    savedSchedules: null,
+    termPicker: null,
+    savedInfo: null,
+    changeList: null,
+    changeItems: null,
+    exportChangesBtn: null,
+    courseSearch: null,
+    searchForm: null,
+    searchInput: null,
+    openSeatsOnly: null,
+    searchResults: null,
+    moreResultsBtn: null,
+    watchList: null,
+    watchItems: null
   };
   
   function initializeElements() {
+    DOM.optionsBtn = document.getElementById('optionsBtn');
     DOM.extractBtn = document.getElementById('extractBtn');
     DOM.exportBtn = document.getElementById('exportBtn');
+    DOM.exportIcsBtn = document.getElementById('exportIcsBtn');
+    DOM.syncBtn = document.getElementById('syncBtn');
+    DOM.pasteSchedule = document.getElementById('pasteSchedule');
+    DOM.pasteInput = document.getElementById('pasteInput');
+    DOM.pasteBtn = document.getElementById('pasteBtn');
+    DOM.pasteProblems = document.getElementById('pasteProblems');
     DOM.status = document.getElementById('status');
     DOM.preview = document.getElementById('preview');
     DOM.courseList = document.getElementById('courseList');
+    DOM.listViewBtn = document.getElementById('listViewBtn');
+    DOM.gridViewBtn = document.getElementById('gridViewBtn');
+    DOM.timetable = document.getElementById('timetable');
+    DOM.eventDetails = document.getElementById('eventDetails');
+    DOM.conflictList = document.getElementById('conflictList');
+    DOM.courseResults = document.getElementById('courseResults');
+    DOM.courseResultItems = document.getElementById('courseResultItems');
+    DOM.examList = document.getElementById('examList');
+    DOM.examConflicts = document.getElementById('examConflicts');
+    DOM.examItems = document.getElementById('examItems');
+    DOM.savedSchedules = document.getElementById('savedSchedules');
+    DOM.termPicker = document.getElementById('termPicker');
+    DOM.savedInfo = document.getElementById('savedInfo');
+    DOM.changeList = document.getElementById('changeList');
+    DOM.changeItems = document.getElementById('changeItems');
+    DOM.exportChangesBtn = document.getElementById('exportChangesBtn');
+    DOM.courseSearch = document.getElementById('courseSearch');
+    DOM.searchForm = document.getElementById('searchForm');
+    DOM.searchInput = document.getElementById('searchInput');
+    DOM.openSeatsOnly = document.getElementById('openSeatsOnly');
+    DOM.searchResults = document.getElementById('searchResults');
+    DOM.moreResultsBtn = document.getElementById('moreResultsBtn');
+    DOM.watchList = document.getElementById('watchList');
+    DOM.watchItems = document.getElementById('watchItems');
     
-    if (!DOM.extractBtn || !DOM.exportBtn || !DOM.status) {
+    if (!DOM.extractBtn || !DOM.exportBtn || !DOM.exportIcsBtn || !DOM.syncBtn || !DOM.status) {
       throw new Error('Required DOM elements not found');
     }
   }
@@ -59,7 +145,7 @@
       typeof course.day === 'number' &&
       typeof course.startTime === 'string' &&
       typeof course.endTime === 'string' &&
-      course.day >= 0 && course.day <= 6 &&
+      Model.isValidWeekday(course.day) &&
       /^\d{2}:\d{2}$/.test(course.startTime) &&
       /^\d{2}:\d{2}$/.test(course.endTime)
     );
@@ -75,34 +161,451 @@
     
     DOM.courseList.innerHTML = '';
     
+    const groups = new Map();
     courses.forEach(course => {
-      const courseElement = document.createElement('div');
-      courseElement.className = 'course-item';
+      const key = Edits.getCourseKey(course);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(course);
+    });
+    
+    const byCampus = new Map(CAMPUS_ORDER.map(campus => [campus, []]));
+    groups.forEach(sessions => byCampus.get(getCourseCampus(sessions)).push(sessions));
+    
+    byCampus.forEach((campusGroups, campus) => {
+      if (!campusGroups.length) return;
+      
+      const heading = document.createElement('div');
+      heading.className = 'campus-title';
+      heading.textContent = campus ? Buildings.CAMPUSES[campus].name : 'Online or room TBA';
+      DOM.courseList.appendChild(heading);
+      
+      campusGroups.forEach(sessions => {
+        const group = document.createElement('div');
+        group.className = 'course-group';
+        group.appendChild(createCourseSettings(sessions[0]));
+        sessions.forEach(course => group.appendChild(createSessionItem(course)));
+        DOM.courseList.appendChild(group);
+      });
+    });
+    
+    renderConflicts(STATE.conflicts);
+    renderChanges(STATE.changes);
+    renderTimetable();
+    setPreviewMode(STATE.previewMode);
+    
+    DOM.preview.classList.remove('hidden');
+    DOM.courseSearch.classList.toggle('hidden', STATE.settings.localOnly);
+  }
+  
+  // A course is listed under the campus most of its sessions are on, counting
+  // location edits
+  function getCourseCampus(sessions) {
+    const counts = new Map();
+    sessions.forEach(course => {
+      const eventEdit = STATE.edits.events[Edits.getEventKey(course)] || {};
+      const campus = Buildings.getCampus(eventEdit.location || course.location);
+      if (campus) counts.set(campus, (counts.get(campus) || 0) + 1);
+    });
+    
+    const [top] = [...counts].sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : null;
+  }
+  
+  function renderTimetable() {
+    window.ConcordiaTimetable.render(DOM.timetable, getExportEvents(), { onSelect: showEventDetails });
+    DOM.eventDetails.classList.add('hidden');
+  }
+  
+  // Colour and reminder apply to every session of a course
+  function createCourseSettings(course) {
+    const courseEdit = STATE.edits.courses[Edits.getCourseKey(course)] || {};
+    
+    const header = document.createElement('div');
+    header.className = 'course-settings';
+    
+    const title = document.createElement('div');
+    title.className = 'course-title';
+    title.textContent = sanitizeHtml(Edits.getCourseKey(course));
+    
+    const colorSelect = createSelect(
+      [{ value: '', label: 'Default colour' }, ...Edits.COLORS.map(color => ({ value: color.id, label: color.name }))],
+      courseEdit.colorId || '',
+      value => updateCourseEdit(course, { colorId: value })
+    );
+    colorSelect.setAttribute('aria-label', 'Colour');
+    
+    const reminderSelect = createSelect(
+      [
+        { value: '', label: `Default (${describeReminder(STATE.settings.reminderMinutes)})` },
+        ...Edits.REMINDER_OPTIONS.map(minutes => ({ value: String(minutes), label: describeReminder(minutes) }))
+      ],
+      courseEdit.reminderMinutes === undefined ? '' : String(courseEdit.reminderMinutes),
+      value => updateCourseEdit(course, { reminderMinutes: value === '' ? '' : parseInt(value, 10) })
+    );
+    reminderSelect.setAttribute('aria-label', 'Reminder');
+    
+    header.appendChild(title);
+    header.appendChild(colorSelect);
+    header.appendChild(reminderSelect);
+    return header;
+  }
+  
+  function describeReminder(minutes) {
+    return minutes ? `${minutes} min before` : 'No reminder';
+  }
+  
+  function createSessionItem(course) {
+    const eventEdit = STATE.edits.events[Edits.getEventKey(course)] || {};
+    const defaultTitle = Edits.formatTitle({ ...course, location: eventEdit.location || course.location }, STATE.settings.titleTemplate);
+    
+    const courseElement = document.createElement('div');
+    courseElement.className = eventEdit.excluded ? 'course-item excluded' : 'course-item';
+    
+    const header = document.createElement('label');
+    header.className = 'course-item-header';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !eventEdit.excluded;
+    checkbox.addEventListener('change', () => {
+      courseElement.classList.toggle('excluded', !checkbox.checked);
+      updateEventEdit(course, { excluded: !checkbox.checked });
+    });
+    
+    const title = document.createElement('span');
+    title.className = 'course-title';
+    title.textContent = sanitizeHtml(eventEdit.subject || defaultTitle);
+    
+    header.appendChild(checkbox);
+    header.appendChild(title);
+    
+    const details = document.createElement('div');
+    details.className = 'course-details';
+    details.textContent = `${course.type ? `${course.type} | ` : ''}${Model.WEEKDAY_SHORT_NAMES[course.day]} ${course.startTime}-${course.endTime} | ${sanitizeHtml(eventEdit.location || course.location)}`;
+    
+    const editToggle = document.createElement('button');
+    editToggle.type = 'button';
+    editToggle.className = 'edit-toggle';
+    editToggle.textContent = 'Edit';
+    
+    const form = document.createElement('div');
+    form.className = 'course-edit hidden';
+    form.appendChild(createTextInput('Title', eventEdit.subject, defaultTitle, value => {
+      title.textContent = sanitizeHtml(value || defaultTitle);
+      updateEventEdit(course, { subject: value });
+    }));
+    form.appendChild(createTextInput('Location', eventEdit.location, course.location, value => {
+      updateEventEdit(course, { location: value });
+      details.textContent = `${course.type ? `${course.type} | ` : ''}${Model.WEEKDAY_SHORT_NAMES[course.day]} ${course.startTime}-${course.endTime} | ${sanitizeHtml(value || course.location)}`;
+    }));
+    
+    editToggle.addEventListener('click', () => form.classList.toggle('hidden'));
+    
+    courseElement.appendChild(header);
+    courseElement.appendChild(details);
+    courseElement.appendChild(editToggle);
+    courseElement.appendChild(form);
+    return courseElement;
+  }
+  
+  function createSelect(options, selectedValue, onChange) {
+    const select = document.createElement('select');
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = selectedValue;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+  
+  function createTextInput(label, value, placeholder, onChange) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'course-edit-field';
+    wrapper.textContent = label;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 200;
+    input.value = value || '';
+    input.placeholder = placeholder || '';
+    input.addEventListener('change', () => onChange(input.value.trim()));
+    
+    wrapper.appendChild(input);
+    return wrapper;
+  }
+  
+  function updateEventEdit(course, changes) {
+    Edits.updateEvent(STATE.edits, course, changes);
+    persistEdits();
+  }
+  
+  function updateCourseEdit(course, changes) {
+    Edits.updateCourse(STATE.edits, course, changes);
+    persistEdits();
+  }
+  
+  async function persistEdits() {
+    renderTimetable();
+    setProcessingState(STATE.isProcessing);
+    
+    try {
+      await Edits.save(STATE.calendar.term, STATE.edits);
+    } catch (error) {
+      console.error('ConcordiaSync failed to save edits:', error);
+      showStatus('Could not save your changes', 'error');
+    }
+  }
+  
+  // The sessions every export path works from: unchecked ones dropped, edits
+  // and the options page defaults applied
+  function getExportEvents() {
+    return Edits.apply(STATE.extractedCourses, STATE.edits, STATE.settings);
+  }
+  
+  function renderConflicts(conflicts) {
+    DOM.conflictList.innerHTML = '';
+    DOM.conflictList.classList.toggle('hidden', !conflicts.length);
+    
+    conflicts.forEach(conflict => {
+      const item = document.createElement('div');
+      item.className = `conflict-item ${conflict.severity}`;
+      item.textContent = `⚠ ${sanitizeHtml(conflict.message)}`;
+      DOM.conflictList.appendChild(item);
+    });
+  }
+  
+  function renderExams() {
+    const { exams, conflicts } = STATE.exams;
+    
+    DOM.examItems.innerHTML = '';
+    DOM.examConflicts.innerHTML = '';
+    DOM.examList.classList.toggle('hidden', !exams.length);
+    DOM.examConflicts.classList.toggle('hidden', !conflicts.length);
+    
+    conflicts.forEach(conflict => {
+      const item = document.createElement('div');
+      item.className = `conflict-item ${conflict.severity}`;
+      item.textContent = `⚠ ${sanitizeHtml(conflict.message)}`;
+      DOM.examConflicts.appendChild(item);
+    });
+    
+    exams.forEach(exam => {
+      const item = document.createElement('div');
+      item.className = 'course-item';
       
       const title = document.createElement('div');
       title.className = 'course-title';
-      title.textContent = sanitizeHtml(course.subject);
+      title.textContent = sanitizeHtml(exam.title ? `${exam.code} - ${exam.title}` : exam.code);
       
+      const day = AcademicCalendar.parseDate(exam.date);
       const details = document.createElement('div');
       details.className = 'course-details';
+      details.textContent = [
+        `${Model.WEEKDAY_SHORT_NAMES[Model.weekdayOf(day)]} ${exam.date} ${exam.startTime}-${exam.endTime}`,
+        sanitizeHtml(exam.location),
+        ExamModel.getSeatLabel(exam)
+      ].filter(Boolean).join(' | ');
       
-      const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-      details.textContent = `${days[course.day]} ${course.startTime}-${course.endTime} | ${sanitizeHtml(course.location)}`;
+      item.appendChild(title);
+      item.appendChild(details);
+      DOM.examItems.appendChild(item);
+    });
+  }
+  
+  function renderChanges(changes) {
+    DOM.changeItems.innerHTML = '';
+    DOM.changeList.classList.toggle('hidden', !Diff.hasChanges(changes));
+    if (!Diff.hasChanges(changes)) return;
+    
+    Diff.describeDiff(changes).forEach(change => {
+      const item = document.createElement('div');
+      item.className = `change-item ${change.kind}`;
+      item.textContent = sanitizeHtml(change.message);
+      DOM.changeItems.appendChild(item);
+    });
+  }
+  
+  // Courses the backend could not (fully) schedule, each with a way to fix it:
+  // pick one of the sections that exist, correct the course code, or retry.
+  function renderCourseResults(results) {
+    const problems = results.filter(result => result.status !== 'ok');
+    
+    DOM.courseResultItems.innerHTML = '';
+    DOM.courseResults.classList.toggle('hidden', !problems.length);
+    
+    problems.forEach(result => DOM.courseResultItems.appendChild(createCourseResult(result)));
+  }
+  
+  function createCourseResult(result) {
+    const item = document.createElement('div');
+    item.className = `course-result ${result.status}`;
+    
+    const message = document.createElement('div');
+    message.className = 'course-result-message';
+    message.textContent = `⚠ ${sanitizeHtml(result.message)}`;
+    item.appendChild(message);
+    
+    if (result.status === 'section_not_found') {
+      (result.missing || []).forEach(missing => {
+        const choices = getSectionChoices(result.availableSections || [], missing);
+        if (choices.length) item.appendChild(createSectionPicker(result, missing, choices));
+      });
+    } else if (result.status === 'not_found') {
+      item.appendChild(createCodeFix(result));
+    } else if (result.status === 'upstream_error') {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'edit-toggle';
+      retryButton.textContent = 'Retry';
+      retryButton.addEventListener('click', () => refreshSchedule(STATE.enrolledCourses, 'Retrying...', 'Schedule updated'));
+      item.appendChild(retryButton);
+    }
+    
+    return item;
+  }
+  
+  // Same component as the missing one; a course-level miss offers its lectures
+  function getSectionChoices(sections, missing) {
+    if (missing.component) return sections.filter(section => section.type === missing.component);
+    
+    const lectures = sections.filter(section => section.type === 'Lecture');
+    return lectures.length ? lectures : sections;
+  }
+  
+  function describeSection(section) {
+    const times = section.schedule
+      .map(meeting => `${meeting.days.map(day => Model.WEEKDAY_SHORT_NAMES[day]).join('/')} ${meeting.startTime}-${meeting.endTime}`)
+      .join(', ');
+    return [`${section.type} ${section.section}`, times, section.instructor].filter(Boolean).join(' | ');
+  }
+  
+  function createSectionPicker(result, missing, choices) {
+    const row = document.createElement('div');
+    row.className = 'search-section';
+    
+    const select = createSelect(
+      choices.map(section => ({ value: section.section, label: sanitizeHtml(describeSection(section)) })),
+      choices[0].section,
+      () => {}
+    );
+    select.setAttribute('aria-label', `Section for ${result.code}`);
+    
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'edit-toggle';
+    useButton.textContent = 'Use';
+    useButton.addEventListener('click', () => {
+      const chosen = choices.find(section => section.section === select.value);
+      if (chosen) useSection(result.code, missing, chosen);
+    });
+    
+    row.appendChild(select);
+    row.appendChild(useButton);
+    return row;
+  }
+  
+  function createCodeFix(result) {
+    const row = document.createElement('form');
+    row.className = 'search-section';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 20;
+    input.value = result.code;
+    input.setAttribute('aria-label', 'Course code');
+    
+    const retryButton = document.createElement('button');
+    retryButton.type = 'submit';
+    retryButton.className = 'edit-toggle';
+    retryButton.textContent = 'Retry';
+    
+    row.addEventListener('submit', event => {
+      event.preventDefault();
+      const code = input.value.trim().toUpperCase().replace(/^([A-Z]{2,4})\s*(\d)/, '$1 $2');
+      if (code) updateEnrolledCourse(result.code, course => ({ ...course, code }), `Looking up ${code}`);
+    });
+    
+    row.appendChild(input);
+    row.appendChild(retryButton);
+    return row;
+  }
+  
+  // Swaps the missing component for the chosen section, or sets the course's
+  // section when it had none to go by
+  function useSection(code, missing, chosen) {
+    const replacement = { section: chosen.section, component: chosen.type, classNumber: chosen.classNumber };
+    
+    updateEnrolledCourse(code, course => {
+      const components = course.components || [];
+      const index = components.findIndex(component =>
+        component.section === missing.section && (!missing.classNumber || component.classNumber === missing.classNumber));
       
-      courseElement.appendChild(title);
-      courseElement.appendChild(details);
-      DOM.courseList.appendChild(courseElement);
+      if (index === -1) {
+        return { ...course, section: chosen.section, components: components.length ? [...components, replacement] : undefined };
+      }
+      return { ...course, components: components.map((component, position) => (position === index ? replacement : component)) };
+    }, `Using ${code} ${chosen.type} ${chosen.section}`);
+  }
+  
+  function updateEnrolledCourse(code, update, successMessage) {
+    const enrolledCourses = STATE.enrolledCourses.map(course => (course.code === code ? update(course) : course));
+    refreshSchedule(enrolledCourses, 'Updating...', successMessage);
+  }
+  
+  function setPreviewMode(mode) {
+    STATE.previewMode = mode;
+    DOM.courseList.classList.toggle('hidden', mode !== 'list');
+    DOM.timetable.classList.toggle('hidden', mode !== 'grid');
+    DOM.listViewBtn.classList.toggle('active', mode === 'list');
+    DOM.gridViewBtn.classList.toggle('active', mode === 'grid');
+    
+    if (mode !== 'grid') {
+      DOM.eventDetails.classList.add('hidden');
+    }
+  }
+  
+  function showEventDetails(event) {
+    DOM.eventDetails.innerHTML = '';
+    
+    const title = document.createElement('div');
+    title.className = 'course-title';
+    title.textContent = sanitizeHtml(event.subject);
+    DOM.eventDetails.appendChild(title);
+    
+    const rows = [
+      ['Component', `${event.type || 'Class'}${event.section ? ` (${event.section})` : ''}`],
+      ['When', `${Model.WEEKDAY_NAMES[event.day]} ${event.startTime}-${event.endTime}`],
+      ['Where', Buildings.formatLocation(event.location)],
+      [(event.instructors || []).length > 1 ? 'Instructors' : 'Instructor', event.instructor],
+      ['Credits', event.credits !== undefined ? String(event.credits) : ''],
+      ['Description', event.description]
+    ];
+    
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.className = 'course-details';
+      row.textContent = `${label}: ${sanitizeHtml(value)}`;
+      DOM.eventDetails.appendChild(row);
     });
     
-    DOM.preview.classList.remove('hidden');
+    DOM.eventDetails.classList.remove('hidden');
   }
   
-  function setProcessingState(isProcessing) {
+  function setProcessingState(isProcessing, label = 'Extracting...') {
     STATE.isProcessing = isProcessing;
     DOM.extractBtn.disabled = isProcessing;
-    DOM.exportBtn.disabled = isProcessing || !STATE.extractedCourses.length;
+    DOM.pasteBtn.disabled = isProcessing;
+    const hasEvents = getExportEvents().length > 0;
+    const hasFiles = hasEvents || STATE.exams.exams.length > 0;
+    DOM.exportBtn.disabled = isProcessing || !hasFiles;
+    DOM.exportIcsBtn.disabled = isProcessing || !hasFiles;
+    DOM.syncBtn.disabled = isProcessing || !hasEvents;
+    DOM.exportChangesBtn.disabled = isProcessing || !Diff.hasChanges(STATE.changes);
     
-    DOM.extractBtn.textContent = isProcessing ? 'Extracting...' : '📅 Extract Schedule';
+    DOM.extractBtn.textContent = isProcessing ? label : '📅 Extract Schedule';
   }
   
   async function extractSchedule() {
@@ -131,42 +634,57 @@
         throw new Error(response?.error || 'Failed to extract enrolled courses');
       }
       
+      if (response.view === 'exams') {
+        await importExams(response.exams, response.url || tab.url);
+        return;
+      }
+      
       STATE.enrolledCourses = response.data;
       
       if (STATE.enrolledCourses.length === 0) {
-        showStatus('No enrolled courses found on this page', 'error');
+        showStatus('No enrolled courses found. Open "My Class Schedule" or "My Exam Schedule" in the Student Center', 'error');
         return;
       }
       
       showStatus(`Step 2: Fetching schedule data for ${STATE.enrolledCourses.length} courses...`, 'info');
       
-      const scheduleResponse = await fetch(`${CONFIG.backendUrl}/api/schedule/parse`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          courseData: STATE.enrolledCourses
-        })
-      });
-      
-      if (!scheduleResponse.ok) {
-        const errorData = await scheduleResponse.json().catch(() => ({}));
-        throw new Error(errorData.message || `Server error: ${scheduleResponse.status}`);
-      }
-      
-      const scheduleData = await scheduleResponse.json();
+      let usedPageSchedule = false;
       
-      if (!scheduleData.success || !scheduleData.data) {
-        throw new Error('Invalid response from schedule service');
+      try {
+        if (STATE.settings.localOnly) {
+          throw new Error('Local-only mode needs the class times shown on "My Class Schedule"');
+        }
+        
+        const schedule = await fetchScheduleEvents(STATE.enrolledCourses);
+        STATE.extractedCourses = schedule.events;
+        STATE.conflicts = schedule.conflicts;
+        STATE.courseResults = schedule.results;
+        STATE.calendar = await fetchTermCalendar(STATE.enrolledCourses[0].term, STATE.extractedCourses);
+      } catch (error) {
+        const pageSchedule = await buildPageSchedule(STATE.enrolledCourses);
+        if (!pageSchedule) throw error;
+        
+        if (!STATE.settings.localOnly) {
+          console.warn('ConcordiaSync: backend unavailable, using the schedule shown on the page:', error);
+        }
+        STATE.extractedCourses = pageSchedule.events;
+        STATE.conflicts = [];
+        STATE.courseResults = [];
+        STATE.calendar = pageSchedule.calendar;
+        usedPageSchedule = true;
       }
       
-      STATE.extractedCourses = scheduleData.data;
+      await saveFetchedSchedule(response.url || tab.url, usedPageSchedule);
       
       if (STATE.extractedCourses.length === 0) {
-        showStatus('No schedule data available for your courses', 'error');
+        showStatus(STATE.courseResults.length ? 'None of your courses could be loaded, see below' : 'No schedule data available for your courses', 'error');
+      } else if (usedPageSchedule) {
+        const reason = STATE.settings.localOnly ? 'local-only mode' : 'server unavailable';
+        const holidays = STATE.calendar.source === 'official' ? 'holidays excluded' : 'holidays estimated';
+        showStatus(`Found ${STATE.extractedCourses.length} class sessions on the page (${reason}, ${holidays})`, 'info');
+        renderCoursePreview(STATE.extractedCourses);
       } else {
-        showStatus(`Found ${STATE.extractedCourses.length} class sessions`, 'success');
+        showScheduleStatus(`Found ${STATE.extractedCourses.length} class sessions`);
         renderCoursePreview(STATE.extractedCourses);
       }
       
@@ -174,102 +692,709 @@
       console.error('ConcordiaSync extraction error:', error);
       showStatus(`Error: ${error.message}`, 'error');
       STATE.extractedCourses = [];
+      STATE.conflicts = [];
+      STATE.courseResults = [];
+      STATE.changes = null;
+      STATE.sequences = {};
+      STATE.edits = Edits.createEmptyEdits();
+      STATE.exams = createEmptyExams(null);
+      STATE.calendar = null;
+      renderCourseResults(STATE.courseResults);
+      renderExams();
     } finally {
       setProcessingState(false);
     }
   }
   
-  function generateCSV(courses) {
-    const headers = [
-      'Subject', 'Start Date', 'Start Time', 'End Date', 'End Time',
-      'All Day Event', 'Description', 'Location', 'Private'
-    ];
+  // Picks up the term's edits and exams for a freshly fetched schedule and
+  // saves it as the term's latest, with the changes since the previous one
+  async function saveFetchedSchedule(sourceUrl, fromPage) {
+    STATE.edits = await Edits.load(STATE.calendar.term);
+    STATE.exams = await Store.loadExams(STATE.calendar.term) || createEmptyExams(STATE.calendar.term);
+    renderExams();
     
-    const startDate = new Date('2024-09-02');
-    const endDate = new Date('2024-12-31');
+    if (STATE.extractedCourses.length) {
+      await diffWithSavedSchedule();
+      
+      const saved = await Store.saveSchedule({
+        events: STATE.extractedCourses,
+        conflicts: STATE.conflicts,
+        changes: STATE.changes,
+        sequences: STATE.sequences,
+        results: STATE.courseResults,
+        enrolledCourses: STATE.enrolledCourses,
+        calendar: STATE.calendar,
+        sourceUrl,
+        fromPage
+      });
+      await renderTermPicker(saved);
+    }
     
-    const events = [];
+    renderCourseResults(STATE.courseResults);
+  }
+  
+  // Changes from the term's saved schedule to the current events, and the
+  // SEQUENCE numbers they raise; called before the events are saved over it
+  async function diffWithSavedSchedule() {
+    const previous = await Store.loadSchedule(STATE.calendar.term);
+    STATE.changes = previous ? Diff.diffSchedules(previous.events, STATE.extractedCourses) : null;
+    STATE.sequences = CalendarExport.updateSequences(previous && previous.sequences, STATE.changes, STATE.calendar);
+  }
+  
+  // Text copied from "My Class Schedule", a registration confirmation email or
+  // a "COMP 248 EC" list: the backend reads the courses off it and generates
+  // the schedule as for an extraction, listing the lines it could not use
+  async function importPastedSchedule() {
+    if (STATE.isProcessing) return;
     
-    courses.forEach(course => {
-      const firstOccurrence = getFirstWeekdayOccurrence(startDate, course.day);
-      let currentDate = new Date(firstOccurrence);
+    if (STATE.settings.localOnly) {
+      showStatus('Reading pasted text needs the server; turn off local-only mode in Options', 'error');
+      return;
+    }
+    
+    // Sent as is, so the reported line numbers match the text box
+    const text = DOM.pasteInput.value;
+    if (!text.trim()) {
+      showStatus('Paste your schedule or a list of courses first', 'error');
+      return;
+    }
+    
+    try {
+      setProcessingState(true, 'Reading...');
+      showStatus('Reading the pasted schedule...', 'info');
       
-      while (currentDate <= endDate) {
-        if (!isBreakWeek(currentDate)) {
-          events.push({
-            Subject: sanitizeCsvField(course.subject),
-            'Start Date': formatDate(currentDate),
-            'Start Time': course.startTime,
-            'End Date': formatDate(currentDate),
-            'End Time': course.endTime,
-            'All Day Event': 'False',
-            Description: sanitizeCsvField(course.description || ''),
-            Location: sanitizeCsvField(course.location || ''),
-            Private: 'False'
-          });
-        }
-        currentDate.setDate(currentDate.getDate() + 7);
+      const pasted = await fetchPastedSchedule(text);
+      renderPasteProblems(pasted.unrecognized);
+      
+      if (!pasted.courses.length) {
+        showStatus('No courses found in the pasted text', 'error');
+        return;
+      }
+      
+      STATE.enrolledCourses = pasted.courses;
+      STATE.extractedCourses = pasted.events;
+      STATE.conflicts = pasted.conflicts;
+      STATE.courseResults = pasted.results;
+      STATE.calendar = await fetchTermCalendar(pasted.term, pasted.events);
+      
+      await saveFetchedSchedule(null, false);
+      renderCoursePreview(STATE.extractedCourses);
+      
+      const skipped = pasted.unrecognized.length;
+      const found = `Found ${STATE.extractedCourses.length} class sessions in the pasted text${pasted.termAssumed
+        ? `, read as ${Model.getTermLabel(pasted.term)} (no term named, so the current one)`
+        : ''}`;
+      if (STATE.extractedCourses.length === 0) {
+        showStatus('None of the pasted courses could be loaded, see below', 'error');
+      } else if (skipped) {
+        showStatus(`${found}; ${skipped} ${skipped === 1 ? 'line was' : 'lines were'} not recognized`, 'info');
+      } else if (pasted.termAssumed) {
+        showStatus(found, 'info');
+      } else {
+        showScheduleStatus(`Found ${STATE.extractedCourses.length} class sessions in the pasted text`);
       }
+      
+    } catch (error) {
+      console.error('ConcordiaSync failed to read pasted schedule:', error);
+      showStatus(`Could not read the pasted schedule: ${error.message}`, 'error');
+    } finally {
+      setProcessingState(false);
+    }
+  }
+  
+  // Clicking a reported line selects it in the text box, ready to be fixed
+  function renderPasteProblems(unrecognized) {
+    DOM.pasteProblems.innerHTML = '';
+    DOM.pasteProblems.classList.toggle('hidden', !unrecognized.length);
+    
+    unrecognized.forEach(({ line, text, reason }) => {
+      const item = document.createElement('li');
+      item.textContent = `Line ${line}: "${text}" — ${reason}`;
+      item.addEventListener('click', () => selectPastedLine(line));
+      DOM.pasteProblems.appendChild(item);
     });
+  }
+  
+  function selectPastedLine(line) {
+    const lines = DOM.pasteInput.value.split('\n');
+    const start = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
     
-    const csvContent = [
-      headers.join(','),
-      ...events.map(event => headers.map(header => 
-        `"${event[header].replace(/"/g, '""')}"`
-      ).join(','))
-    ].join('\n');
+    DOM.pasteInput.focus();
+    DOM.pasteInput.setSelectionRange(start, start + (lines[line - 1] || '').length);
+  }
+  
+  // Shows a schedule saved by an earlier extraction without going back to the portal
+  async function showSavedSchedule(saved) {
+    STATE.extractedCourses = saved.events;
+    STATE.conflicts = saved.conflicts || [];
+    STATE.courseResults = saved.results || [];
+    STATE.changes = saved.changes || null;
+    STATE.sequences = saved.sequences || {};
+    STATE.enrolledCourses = saved.enrolledCourses || [];
+    STATE.calendar = saved.calendar;
+    STATE.edits = await Edits.load(saved.term);
+    STATE.exams = await Store.loadExams(saved.term) || createEmptyExams(saved.term);
     
-    return csvContent;
+    await renderTermPicker(saved);
+    renderCourseResults(STATE.courseResults);
+    renderExams();
+    renderCoursePreview(STATE.extractedCourses);
+    setProcessingState(false);
+    showStatus(`Showing your saved ${Model.getTermLabel(saved.term)} schedule`, 'info');
   }
   
-  function sanitizeCsvField(text) {
-    if (!text || typeof text !== 'string') return '';
-    return text.trim()
-      .replace(/[\r\n\t]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .substring(0, 255);
+  // Exam schedule page: the exams are checked for conflicts (by the backend
+  // unless in local-only mode) and shown with the term's saved class schedule
+  async function importExams(entries, sourceUrl) {
+    if (!entries.length) {
+      showStatus('No exams found on this page', 'error');
+      return;
+    }
+    
+    showStatus(`Step 2: Checking ${entries.length} exams...`, 'info');
+    
+    const parsed = STATE.settings.localOnly
+      ? ExamModel.parseExams(entries)
+      : await fetchExamSchedule(entries).catch(error => {
+        console.warn('ConcordiaSync: backend unavailable, checking exams in the browser:', error);
+        return ExamModel.parseExams(entries);
+      });
+    
+    const term = entries[0].term;
+    const previous = await Store.loadExams(term);
+    const exams = await Store.saveExams(term, {
+      ...parsed,
+      sequences: CalendarExport.updateExamSequences(previous && previous.sequences, previous && previous.exams, parsed.exams),
+      sourceUrl
+    });
+    const saved = await Store.selectTerm(term);
+    
+    if (saved) await showSavedSchedule(saved);
+    else showExamsOnly(exams);
+    
+    const problems = [
+      exams.conflicts.length && `${exams.conflicts.length} exam ${exams.conflicts.length === 1 ? 'conflict' : 'conflicts'}`,
+      exams.rejected.length && `${exams.rejected.length} unreadable ${exams.rejected.length === 1 ? 'entry' : 'entries'} skipped`
+    ].filter(Boolean);
+    
+    showStatus(
+      `Found ${exams.exams.length} ${Model.getTermLabel(term) || ''} exams${problems.length ? `; ${problems.join(', ')}` : ''}`.replace(/\s+/g, ' '),
+      problems.length ? 'info' : 'success'
+    );
+  }
+  
+  // Exams of a term whose classes were never extracted: exportable as files,
+  // but not synced, as the sync would remove the term's class events
+  function showExamsOnly(exams) {
+    STATE.extractedCourses = [];
+    STATE.conflicts = [];
+    STATE.courseResults = [];
+    STATE.changes = null;
+    STATE.sequences = {};
+    STATE.enrolledCourses = [];
+    STATE.calendar = null;
+    STATE.edits = Edits.createEmptyEdits();
+    STATE.exams = exams;
+    
+    DOM.termPicker.value = '';
+    renderCourseResults(STATE.courseResults);
+    renderCoursePreview(STATE.extractedCourses);
+    renderExams();
+    setProcessingState(false);
   }
   
-  function getFirstWeekdayOccurrence(startDate, targetDay) {
-    const date = new Date(startDate);
-    const daysAhead = (targetDay - date.getDay() + 7) % 7;
-    date.setDate(date.getDate() + daysAhead);
-    return date;
+  async function renderTermPicker(current) {
+    const terms = await Store.listTerms();
+    
+    DOM.termPicker.innerHTML = '';
+    terms.forEach(({ term }) => {
+      const option = document.createElement('option');
+      option.value = term;
+      option.textContent = Model.getTermLabel(term) || term;
+      DOM.termPicker.appendChild(option);
+    });
+    DOM.termPicker.value = current.term;
+    
+    DOM.savedInfo.textContent = `Extracted ${new Date(current.savedAt).toLocaleString()}${current.fromPage ? ' (from the page only)' : ''}`;
+    DOM.savedInfo.title = current.sourceUrl || '';
+    DOM.savedSchedules.classList.toggle('hidden', !terms.length);
+  }
+  
+  async function switchTerm() {
+    if (STATE.isProcessing) return;
+    
+    try {
+      const saved = await Store.selectTerm(DOM.termPicker.value);
+      if (saved) await showSavedSchedule(saved);
+    } catch (error) {
+      console.error('ConcordiaSync failed to load saved schedule:', error);
+      showStatus('Could not load the saved schedule', 'error');
+    }
   }
   
-  function formatDate(date) {
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const year = date.getFullYear();
-    return `${month}/${day}/${year}`;
+  async function restoreLastSchedule() {
+    try {
+      const saved = await Store.loadLastSchedule();
+      const exams = saved ? null : await Store.loadExams(await Store.getLastTerm());
+      
+      if (saved) await showSavedSchedule(saved);
+      else if (exams) showExamsOnly(exams);
+    } catch (error) {
+      console.error('ConcordiaSync failed to restore saved schedule:', error);
+    }
   }
   
-  function isBreakWeek(date) {
-    const thanksgiving = new Date('2024-11-25');
-    const christmasStart = new Date('2024-12-23');
+  // "COMP 248" / "comp2" search by subject and catalog prefix, anything else by title keyword
+  function buildSearchParams(text) {
+    const params = new URLSearchParams();
+    const codeMatch = text.trim().match(/^([A-Za-z]{2,4})\s*(\d{0,4}[A-Za-z]?)$/);
+    
+    if (codeMatch) {
+      params.set('subject', codeMatch[1].toUpperCase());
+      if (codeMatch[2]) params.set('catalog', codeMatch[2]);
+    } else {
+      params.set('q', text.trim());
+    }
     
-    return (date >= thanksgiving && date <= new Date('2024-11-29')) ||
-           (date >= christmasStart);
+    if (DOM.openSeatsOnly.checked) params.set('openSeats', 'true');
+    params.set('limit', '10');
+    return params;
   }
   
-  function downloadCSV() {
-    if (!STATE.extractedCourses.length) return;
+  async function searchCourses(loadMore = false) {
+    if (!STATE.calendar) return;
+    
+    if (!loadMore) {
+      const text = DOM.searchInput.value;
+      if (!text.trim()) return;
+      STATE.search = { params: buildSearchParams(text), nextCursor: null };
+      DOM.searchResults.innerHTML = '';
+    }
+    
+    const params = new URLSearchParams(STATE.search.params);
+    if (loadMore && STATE.search.nextCursor) params.set('cursor', STATE.search.nextCursor);
+    
+    try {
+      const response = await fetch(`${STATE.settings.backendUrl}/api/courses/${encodeURIComponent(STATE.calendar.term)}/search?${params}`);
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Server error: ${response.status}`);
+      }
+      
+      const result = await response.json();
+      STATE.search.nextCursor = result.nextCursor;
+      
+      if (!result.total) {
+        showStatus('No courses match your search', 'info');
+      }
+      result.data.forEach(course => DOM.searchResults.appendChild(createSearchResult(course)));
+      DOM.moreResultsBtn.classList.toggle('hidden', !result.nextCursor);
+      
+    } catch (error) {
+      console.error('ConcordiaSync course search error:', error);
+      showStatus(`Course search failed: ${error.message}`, 'error');
+    }
+  }
+  
+  function createSearchResult(course) {
+    const element = document.createElement('div');
+    element.className = 'course-item';
+    
+    const title = document.createElement('div');
+    title.className = 'course-title';
+    title.textContent = sanitizeHtml(`${course.code}${course.title ? ` - ${course.title}` : ''}`);
+    element.appendChild(title);
+    
+    course.sections.forEach(section => {
+      const row = document.createElement('div');
+      row.className = 'search-section';
+      
+      const details = document.createElement('span');
+      details.className = 'course-details';
+      const times = section.schedule
+        .map(meeting => `${meeting.days.map(day => Model.WEEKDAY_SHORT_NAMES[day]).join('/')} ${meeting.startTime}-${meeting.endTime}`)
+        .join(', ');
+      details.textContent = sanitizeHtml(`${section.type} ${section.section} | ${times} | ${Math.max(section.capacity - section.enrolled, 0)} seats`);
+      
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'edit-toggle';
+      addButton.textContent = 'Add';
+      addButton.addEventListener('click', () => addSearchedSection(course, section));
+      
+      const watchButton = document.createElement('button');
+      watchButton.type = 'button';
+      watchButton.className = 'edit-toggle';
+      watchButton.textContent = '☆ Watch';
+      watchButton.title = 'Notify me when seats open or the waitlist moves';
+      watchButton.addEventListener('click', () => watchSection(course, section));
+      
+      row.appendChild(details);
+      row.appendChild(watchButton);
+      row.appendChild(addButton);
+      element.appendChild(row);
+    });
+    
+    return element;
+  }
+  
+  // Adds a section found by search to the schedule, as one more enrolled
+  // component of the course, and refetches so conflicts include it.
+  async function addSearchedSection(course, section) {
+    if (STATE.isProcessing) return;
+    
+    const component = { section: section.section, component: section.type, classNumber: section.classNumber };
+    const existing = STATE.enrolledCourses.find(enrolled => enrolled.code === course.code);
+    const enrolledCourses = existing
+      ? STATE.enrolledCourses.map(enrolled => enrolled !== existing ? enrolled : {
+        ...enrolled,
+        components: [
+          ...(enrolled.components || []).filter(known => known.section !== section.section || known.component !== section.type),
+          component
+        ]
+      })
+      : [...STATE.enrolledCourses, {
+        code: course.code,
+        title: course.title,
+        section: section.section,
+        status: 'Added',
+        term: STATE.calendar.term,
+        components: [component],
+        meetings: []
+      }];
+    
+    await refreshSchedule(enrolledCourses, 'Adding...', `Added ${course.code} ${section.type} ${section.section}`);
+  }
+  
+  // Refetches the schedule for a changed list of enrolled courses and saves it
+  // over the current term's, with the changes since the saved one.
+  async function refreshSchedule(enrolledCourses, label, successMessage) {
+    if (STATE.isProcessing) return;
+    
+    if (STATE.settings.localOnly) {
+      showStatus('Course lookups need the server; turn off local-only mode in Options', 'error');
+      return;
+    }
+    
+    try {
+      setProcessingState(true, label);
+      
+      const schedule = await fetchScheduleEvents(enrolledCourses);
+      STATE.enrolledCourses = enrolledCourses;
+      STATE.extractedCourses = schedule.events;
+      STATE.conflicts = schedule.conflicts;
+      STATE.courseResults = schedule.results;
+      await diffWithSavedSchedule();
+      
+      const saved = await Store.saveSchedule({
+        events: STATE.extractedCourses,
+        conflicts: STATE.conflicts,
+        changes: STATE.changes,
+        sequences: STATE.sequences,
+        results: STATE.courseResults,
+        enrolledCourses: STATE.enrolledCourses,
+        calendar: STATE.calendar,
+        sourceUrl: null,
+        fromPage: false
+      });
+      await renderTermPicker(saved);
+      renderCourseResults(STATE.courseResults);
+      renderCoursePreview(STATE.extractedCourses);
+      showScheduleStatus(successMessage);
+      
+    } catch (error) {
+      console.error('ConcordiaSync failed to update schedule:', error);
+      showStatus(`Could not update your schedule: ${error.message}`, 'error');
+    } finally {
+      setProcessingState(false);
+    }
+  }
+  
+  function showScheduleStatus(message) {
+    const problems = STATE.courseResults.filter(result => result.status !== 'ok').length;
     
+    if (problems) {
+      showStatus(`${message}; ${problems} ${problems === 1 ? 'course needs' : 'courses need'} attention`, 'info');
+    } else {
+      showStatus(message, 'success');
+    }
+  }
+  
+  async function watchSection(course, section) {
     try {
-      const csvContent = generateCSV(STATE.extractedCourses);
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
+      await SeatWatch.addWatch({
+        term: STATE.calendar.term,
+        code: course.code,
+        section: section.section,
+        type: section.type,
+        counts: section
+      });
+      await renderWatchList();
+      showStatus(`Watching ${course.code} ${section.section} for open seats`, 'success');
+    } catch (error) {
+      console.error('ConcordiaSync failed to watch section:', error);
+      showStatus('Could not add the section to your watch list', 'error');
+    }
+  }
+  
+  async function renderWatchList() {
+    const watches = await SeatWatch.listWatches();
+    
+    DOM.watchItems.innerHTML = '';
+    DOM.watchList.classList.toggle('hidden', !watches.length);
+    
+    watches.forEach(watch => {
+      const item = document.createElement('div');
+      item.className = 'course-item';
+      
+      const header = document.createElement('div');
+      header.className = 'search-section';
       
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `concordia-schedule-${new Date().getFullYear()}.csv`;
-      link.style.display = 'none';
+      const title = document.createElement('span');
+      title.className = 'course-title';
+      title.textContent = sanitizeHtml(`★ ${watch.code} ${watch.type || ''} ${watch.section} (${Model.getTermLabel(watch.term)})`);
+      
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'edit-toggle';
+      removeButton.textContent = 'Stop watching';
+      removeButton.addEventListener('click', async () => {
+        await SeatWatch.removeWatch(watch.id);
+        renderWatchList();
+      });
       
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      header.appendChild(title);
+      header.appendChild(removeButton);
+      item.appendChild(header);
       
-      URL.revokeObjectURL(url);
+      if (watch.last) {
+        const current = document.createElement('div');
+        current.className = 'course-details';
+        current.textContent = `${SeatWatch.getOpenSeats(watch.last)} of ${watch.last.capacity} seats open, waitlist ${watch.last.waitlist} (checked ${new Date(watch.last.at).toLocaleString()})`;
+        item.appendChild(current);
+      }
+      
+      item.appendChild(createSeatHistory(watch.history));
+      DOM.watchItems.appendChild(item);
+    });
+  }
+  
+  // One bar per recorded change: filled share = enrolled / capacity
+  function createSeatHistory(history) {
+    const chart = document.createElement('div');
+    chart.className = 'seat-history';
+    
+    history.forEach(snapshot => {
+      const bar = document.createElement('div');
+      bar.className = snapshot.enrolled >= snapshot.capacity ? 'seat-bar full' : 'seat-bar';
+      bar.style.height = `${snapshot.capacity ? Math.min(snapshot.enrolled / snapshot.capacity, 1) * 100 : 0}%`;
+      bar.title = `${new Date(snapshot.at).toLocaleString()}: ${snapshot.enrolled}/${snapshot.capacity}, waitlist ${snapshot.waitlist}`;
+      chart.appendChild(bar);
+    });
+    
+    return chart;
+  }
+  
+  async function fetchScheduleEvents(courses) {
+    const scheduleResponse = await fetch(`${STATE.settings.backendUrl}/api/schedule/parse`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        courseData: courses.map(({ code, section, term, components }) => ({ code, section, term, components }))
+      })
+    });
+    
+    if (!scheduleResponse.ok) {
+      const errorData = await scheduleResponse.json().catch(() => ({}));
+      throw new Error(errorData.message || `Server error: ${scheduleResponse.status}`);
+    }
+    
+    const scheduleData = await scheduleResponse.json();
+    
+    if (!scheduleData.success || !scheduleData.data) {
+      throw new Error('Invalid response from schedule service');
+    }
+    
+    return {
+      events: scheduleData.data,
+      conflicts: scheduleData.conflicts || [],
+      results: scheduleData.results || []
+    };
+  }
+  
+  async function fetchPastedSchedule(text) {
+    const response = await fetch(`${STATE.settings.backendUrl}/api/schedule/parse-text`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ text })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `Server error: ${response.status}`);
+    }
+    
+    const pastedData = await response.json();
+    
+    if (!pastedData.success || !pastedData.data) {
+      throw new Error('Invalid response from schedule service');
+    }
+    
+    return {
+      term: pastedData.term,
+      termAssumed: Boolean(pastedData.termAssumed),
+      courses: pastedData.courses || [],
+      events: pastedData.data,
+      conflicts: pastedData.conflicts || [],
+      results: pastedData.results || [],
+      unrecognized: pastedData.unrecognized || []
+    };
+  }
+  
+  async function fetchExamSchedule(exams) {
+    const response = await fetch(`${STATE.settings.backendUrl}/api/exams/parse`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ exams })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.message || `Server error: ${response.status}`);
+    }
+    
+    const examData = await response.json();
+    
+    if (!examData.success || !examData.data) {
+      throw new Error('Invalid response from exam service');
+    }
+    
+    return {
+      exams: examData.data,
+      conflicts: examData.conflicts || [],
+      rejected: examData.rejected || []
+    };
+  }
+  
+  // Builds export events from the meetings scraped off the page, for when the
+  // backend is not used or cannot be reached. Closures and make-up days come
+  // from the academic calendars bundled with the extension.
+  async function buildPageSchedule(courses) {
+    const events = [];
+    
+    courses.forEach(course => {
+      (course.meetings || []).forEach(meeting => {
+        meeting.days.forEach(day => {
+          events.push({
+            code: course.code,
+            subject: course.title ? `${course.code} - ${course.title}` : course.code,
+            day,
+            startTime: meeting.startTime,
+            endTime: meeting.endTime,
+            location: meeting.location || 'TBD',
+            description: [
+              `${course.code} | ${meeting.component}`,
+              Buildings.describeLocation(meeting.location),
+              `Instructor: ${meeting.instructor || 'TBD'}`
+            ].filter(Boolean).join(' | '),
+            type: meeting.component,
+            instructor: meeting.instructor || 'TBD',
+            section: meeting.section,
+            term: course.term,
+            startDate: meeting.startDate,
+            endDate: meeting.endDate
+          });
+        });
+      });
+    });
+    
+    if (!events.length) {
+      return null;
+    }
+    
+    return {
+      events,
+      calendar: await fetchTermCalendar(courses[0].term, events, loadBundledCalendar)
+    };
+  }
+  
+  // Same calendar as the backend's /api/calendar, from the files in
+  // shared/calendars; terms without one get an estimated calendar
+  async function loadBundledCalendar(term) {
+    const files = {};
+    
+    await Promise.all(Model.getComponentTerms(term).map(async part => {
+      try {
+        const response = await fetch(chrome.runtime.getURL(`shared/calendars/${part}.json`));
+        if (response.ok) files[part] = await response.json();
+      } catch (error) {
+        // Not bundled: buildCalendar estimates it
+      }
+    }));
+    
+    return CalendarExport.resolveCalendar(AcademicCalendar.buildCalendar(term, part => files[part] || null));
+  }
+  
+  async function fetchAcademicCalendar(term) {
+    const response = await fetch(`${STATE.settings.backendUrl}/api/calendar/${encodeURIComponent(term)}`);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to load academic calendar: ${response.status}`);
+    }
+    
+    const calendarData = await response.json();
+    
+    if (!calendarData.success || !calendarData.data) {
+      throw new Error('Invalid response from calendar service');
+    }
+    
+    return CalendarExport.resolveCalendar(calendarData.data);
+  }
+  
+  // Two-term courses run past the December break: their closures come from the
+  // combined Fall/Winter calendar, while the extracted term stays the key the
+  // schedule is saved and synced under.
+  async function fetchTermCalendar(term, events, loadCalendar = fetchAcademicCalendar) {
+    const calendar = await loadCalendar(term);
+    const twoTermSession = Model.getFallWinterTerm(term);
+    const runsOutsideTerm = events.some(event =>
+      (event.startDate && AcademicCalendar.parseDate(event.startDate) < calendar.startDate) ||
+      (event.endDate && AcademicCalendar.parseDate(event.endDate) > calendar.endDate)
+    );
+    
+    if (!twoTermSession || !runsOutsideTerm) return calendar;
+    return { ...await loadCalendar(twoTermSession), term };
+  }
+  
+  function triggerDownload(content, mimeType, filename) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  function downloadCSV() {
+    if (!getExportEvents().length && !STATE.exams.exams.length) return;
+    
+    try {
+      const csvContent = CalendarExport.generateCSV(getExportEvents(), STATE.calendar, STATE.exams.exams);
+      triggerDownload(csvContent, 'text/csv;charset=utf-8;', `concordia-schedule-${new Date().getFullYear()}.csv`);
       
       showStatus('CSV file downloaded successfully', 'success');
       
@@ -279,14 +1404,118 @@
     }
   }
   
+  function downloadICS() {
+    if (!getExportEvents().length && !STATE.exams.exams.length) return;
+    
+    try {
+      const icsContent = CalendarExport.generateICS(getExportEvents(), STATE.calendar, {
+        exams: STATE.exams.exams,
+        sequences: { ...STATE.sequences, ...STATE.exams.sequences }
+      });
+      triggerDownload(icsContent, 'text/calendar;charset=utf-8;', `concordia-schedule-${new Date().getFullYear()}.ics`);
+      
+      showStatus('Calendar file downloaded successfully', 'success');
+      
+    } catch (error) {
+      console.error('ConcordiaSync ICS generation error:', error);
+      showStatus('Failed to generate calendar file', 'error');
+    }
+  }
+  
+  // Only what changed since the previous extraction: added and modified
+  // meetings in full, removed ones (and the old version of moved ones) cancelled.
+  function downloadChangesICS() {
+    if (!Diff.hasChanges(STATE.changes) || !STATE.calendar) return;
+    
+    try {
+      const { added, removed, modified } = STATE.changes;
+      const current = Edits.apply([...added, ...modified.map(change => change.current)], STATE.edits, STATE.settings);
+      const cancelled = [...removed, ...modified.map(change => change.previous)];
+      
+      const icsContent = CalendarExport.generateICS(current, STATE.calendar, { cancelled, sequences: STATE.sequences });
+      triggerDownload(icsContent, 'text/calendar;charset=utf-8;', `concordia-schedule-changes-${STATE.calendar.term}.ics`);
+      
+      showStatus('Changes file downloaded successfully', 'success');
+      
+    } catch (error) {
+      console.error('ConcordiaSync ICS generation error:', error);
+      showStatus('Failed to generate changes file', 'error');
+    }
+  }
+  
+  async function syncGoogleCalendar() {
+    if (STATE.isProcessing || !STATE.extractedCourses.length || !STATE.calendar) return;
+    
+    try {
+      setProcessingState(true, 'Syncing...');
+      showStatus('Syncing with Google Calendar...', 'info');
+      
+      const term = STATE.calendar.term;
+      const events = [
+        ...CalendarExport.buildEventSeries(getExportEvents(), STATE.calendar)
+          .map(item => ({ uid: item.uid, resource: CalendarExport.buildGoogleEvent(item) })),
+        ...STATE.exams.exams.map(exam => ({ uid: CalendarExport.generateExamUid(exam), resource: CalendarExport.buildExamGoogleEvent(exam) }))
+      ];
+      
+      const result = await window.ConcordiaGoogleCalendar.syncEvents({
+        term,
+        calendarName: `Concordia – ${Model.getTermLabel(term)}`,
+        timeZone: CalendarExport.ICS_TIMEZONE,
+        events,
+        apiBaseUrl: STATE.settings.googleCalendarApiUrl,
+        auth: window.ConcordiaGoogleCalendar.getAuth(STATE.settings.googleClientId)
+      });
+      
+      showStatus(`Google Calendar updated: ${result.created} added, ${result.updated} changed, ${result.deleted} removed`, 'success');
+      
+    } catch (error) {
+      console.error('ConcordiaSync Google Calendar sync error:', error);
+      showStatus(`Google Calendar sync failed: ${error.message}`, 'error');
+    } finally {
+      setProcessingState(false);
+    }
+  }
+  
+  // Puts the default export format's button right under "Extract Schedule";
+  // pasted text is read by the backend, so local-only mode hides the paste box
+  function applySettings() {
+    const exportButtons = { csv: DOM.exportBtn, ics: DOM.exportIcsBtn, google: DOM.syncBtn };
+    DOM.extractBtn.after(exportButtons[STATE.settings.exportFormat]);
+    DOM.pasteSchedule.classList.toggle('hidden', STATE.settings.localOnly);
+  }
+  
+  async function loadSettings() {
+    try {
+      STATE.settings = await Settings.load();
+    } catch (error) {
+      console.error('ConcordiaSync failed to load settings:', error);
+    }
+    applySettings();
+  }
+  
   function initialize() {
     try {
       initializeElements();
       
+      DOM.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
       DOM.extractBtn.addEventListener('click', extractSchedule);
       DOM.exportBtn.addEventListener('click', downloadCSV);
+      DOM.exportIcsBtn.addEventListener('click', downloadICS);
+      DOM.syncBtn.addEventListener('click', syncGoogleCalendar);
+      DOM.pasteBtn.addEventListener('click', importPastedSchedule);
+      DOM.listViewBtn.addEventListener('click', () => setPreviewMode('list'));
+      DOM.gridViewBtn.addEventListener('click', () => setPreviewMode('grid'));
+      DOM.termPicker.addEventListener('change', switchTerm);
+      DOM.exportChangesBtn.addEventListener('click', downloadChangesICS);
+      DOM.searchForm.addEventListener('submit', event => {
+        event.preventDefault();
+        searchCourses();
+      });
+      DOM.moreResultsBtn.addEventListener('click', () => searchCourses(true));
       
       showStatus('Click "Extract Schedule" to begin', 'info');
+      loadSettings().then(restoreLastSchedule);
+      renderWatchList().catch(error => console.error('ConcordiaSync failed to load watch list:', error));
       
     } catch (error) {
       console.error('ConcordiaSync initialization error:', error);
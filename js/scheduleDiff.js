@@ -0,0 +1,124 @@
+(function() {
+  'use strict';
+
+  const Model = window.ConcordiaScheduleModel;
+
+  const COMPARED_FIELDS = Object.freeze(['section', 'day', 'startTime', 'endTime', 'location', 'instructor', 'startDate', 'endDate']);
+
+  const FIELD_LABELS = Object.freeze({
+    section: 'section',
+    day: 'day',
+    startTime: 'start',
+    endTime: 'end',
+    location: 'room',
+    instructor: 'instructor',
+    startDate: 'first day',
+    endDate: 'last day'
+  });
+
+  // Meetings can only be "modified" into another meeting of the same course component
+  function getGroupKey(event) {
+    return `${event.code || (event.subject || '').split(' - ')[0]}|${event.type || ''}`;
+  }
+
+  function getSlotKey(event) {
+    return `${event.section || ''}|${event.day}|${event.startTime}`;
+  }
+
+  function compareMeetings(a, b) {
+    return a.day - b.day || a.startTime.localeCompare(b.startTime) || (a.section || '').localeCompare(b.section || '');
+  }
+
+  function getChanges(previous, current) {
+    return COMPARED_FIELDS
+      .filter(field => (previous[field] ?? '') !== (current[field] ?? ''))
+      .map(field => ({ field, from: previous[field], to: current[field] }));
+  }
+
+  function groupEvents(events) {
+    const groups = new Map();
+    events.forEach(event => {
+      const key = getGroupKey(event);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    });
+    return groups;
+  }
+
+  // Compares two extractions of the same term. Within each course component,
+  // meetings at the same section/day/start are matched first (so a room or
+  // instructor change is a modification); meetings left over on both sides are
+  // then paired in weekly order, which covers section swaps and time moves.
+  function diffSchedules(previousEvents, currentEvents) {
+    const result = { added: [], removed: [], modified: [] };
+    const previousGroups = groupEvents(previousEvents);
+    const currentGroups = groupEvents(currentEvents);
+    const keys = new Set([...previousGroups.keys(), ...currentGroups.keys()]);
+
+    keys.forEach(key => {
+      const previous = [...(previousGroups.get(key) || [])].sort(compareMeetings);
+      const current = [...(currentGroups.get(key) || [])].sort(compareMeetings);
+      const unmatched = [];
+
+      current.forEach(event => {
+        const index = previous.findIndex(candidate => getSlotKey(candidate) === getSlotKey(event));
+        if (index === -1) {
+          unmatched.push(event);
+          return;
+        }
+
+        const [match] = previous.splice(index, 1);
+        const changes = getChanges(match, event);
+        if (changes.length) result.modified.push({ previous: match, current: event, changes });
+      });
+
+      unmatched.forEach(event => {
+        const match = previous.shift();
+        if (match) {
+          result.modified.push({ previous: match, current: event, changes: getChanges(match, event) });
+        } else {
+          result.added.push(event);
+        }
+      });
+
+      result.removed.push(...previous);
+    });
+
+    return result;
+  }
+
+  function hasChanges(diff) {
+    return !!diff && (diff.added.length + diff.removed.length + diff.modified.length) > 0;
+  }
+
+  function formatValue(field, value) {
+    if (field === 'day') return Model.WEEKDAY_NAMES[value] || '';
+    return value || 'none';
+  }
+
+  function describeMeeting(event) {
+    const code = event.code || (event.subject || '').split(' - ')[0];
+    return `${code} ${event.type || 'Class'}${event.section ? ` ${event.section}` : ''} (${Model.WEEKDAY_SHORT_NAMES[event.day]} ${event.startTime}-${event.endTime})`;
+  }
+
+  // One human-readable line per change, for the popup
+  function describeDiff(diff) {
+    return [
+      ...diff.added.map(event => ({ kind: 'added', message: `Added ${describeMeeting(event)}` })),
+      ...diff.removed.map(event => ({ kind: 'removed', message: `Removed ${describeMeeting(event)}` })),
+      ...diff.modified.map(({ previous, changes }) => ({
+        kind: 'modified',
+        message: `${describeMeeting(previous)}: ${changes
+          .map(change => `${FIELD_LABELS[change.field]} ${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`)
+          .join(', ')}`
+      }))
+    ];
+  }
+
+  window.ConcordiaScheduleDiff = {
+    diffSchedules,
+    hasChanges,
+    describeDiff
+  };
+
+})();
@@ -0,0 +1,168 @@
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'scheduleEdits';
+
+  // Google Calendar event colours; `css` is the closest CSS3 colour name, as
+  // required by the iCalendar COLOR property (RFC 7986).
+  const COLORS = Object.freeze([
+    { id: '9', name: 'Blueberry', hex: '#3f51b5', css: 'royalblue' },
+    { id: '7', name: 'Peacock', hex: '#039be5', css: 'deepskyblue' },
+    { id: '10', name: 'Basil', hex: '#0b8043', css: 'seagreen' },
+    { id: '2', name: 'Sage', hex: '#33b679', css: 'mediumseagreen' },
+    { id: '5', name: 'Banana', hex: '#f6bf26', css: 'gold' },
+    { id: '6', name: 'Tangerine', hex: '#f4511e', css: 'orangered' },
+    { id: '11', name: 'Tomato', hex: '#d50000', css: 'red' },
+    { id: '4', name: 'Flamingo', hex: '#e67c73', css: 'lightcoral' },
+    { id: '3', name: 'Grape', hex: '#8e24aa', css: 'darkorchid' },
+    { id: '1', name: 'Lavender', hex: '#7986cb', css: 'mediumpurple' },
+    { id: '8', name: 'Graphite', hex: '#616161', css: 'dimgray' }
+  ]);
+
+  const REMINDER_OPTIONS = Object.freeze([0, 10, 15, 30, 60]);
+
+  // Colour scheme "component": the same kind of session looks the same in every course
+  const COMPONENT_COLORS = Object.freeze({ Lecture: '9', Tutorial: '2', Lab: '6', Laboratory: '6', Seminar: '3' });
+
+  // Title template placeholders; the separators around an empty one are dropped
+  const TITLE_PLACEHOLDERS = Object.freeze(['code', 'title', 'type', 'section', 'location', 'instructor']);
+
+  function createEmptyEdits() {
+    return { events: {}, courses: {} };
+  }
+
+  // Identifies one weekly session independently of its (editable) subject and location
+  function getEventKey(event) {
+    return [event.code || event.subject, event.section, event.type, event.day, event.startTime].join('|');
+  }
+
+  function getCourseKey(event) {
+    return event.code || (event.subject || '').split(' - ')[0];
+  }
+
+  function getColor(colorId) {
+    return COLORS.find(color => color.id === colorId) || null;
+  }
+
+  function getCourseTitle(event) {
+    const code = getCourseKey(event);
+    const subject = event.subject || '';
+    return subject.startsWith(`${code} - `) ? subject.slice(code.length + 3) : '';
+  }
+
+  // "{code} - {title}" → "COMP 248 - Object-Oriented Programming I"
+  function formatTitle(event, template) {
+    const values = {
+      code: getCourseKey(event),
+      title: getCourseTitle(event),
+      type: event.type || '',
+      section: event.section || '',
+      location: event.location && event.location !== 'TBD' ? event.location : '',
+      instructor: event.instructor && !['TBA', 'TBD'].includes(event.instructor) ? event.instructor : ''
+    };
+
+    const title = template
+      .replace(/\{(\w+)\}/g, (match, name) => TITLE_PLACEHOLDERS.includes(name) ? values[name] : match)
+      .replace(/\(\s*\)|\[\s*\]/g, '')
+      .replace(/([-–|:,/])(\s*[-–|:,/])+/g, '$1')
+      .replace(/^[\s\-–|:,/]+|[\s\-–|:,/]+$/g, '')
+      .replace(/\s+/g, ' ');
+
+    return title || event.subject;
+  }
+
+  // Colour picked by the options page scheme, for courses without their own colour
+  function getSchemeColor(event, scheme, courseKeys) {
+    if (scheme === 'course') {
+      return COLORS[courseKeys.indexOf(getCourseKey(event)) % COLORS.length];
+    }
+    if (scheme === 'component') {
+      return getColor(COMPONENT_COLORS[event.type]) || getColor('8');
+    }
+    return null;
+  }
+
+  async function load(term) {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const allTerms = stored[STORAGE_KEY] || {};
+    return { ...createEmptyEdits(), ...allTerms[term] };
+  }
+
+  async function save(term, edits) {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const allTerms = stored[STORAGE_KEY] || {};
+    allTerms[term] = edits;
+    await chrome.storage.local.set({ [STORAGE_KEY]: allTerms });
+  }
+
+  // Drops empty values so an edit cleared back to its original goes away entirely
+  function updateEntry(collection, key, changes) {
+    const entry = { ...collection[key], ...changes };
+    Object.keys(entry).forEach(field => {
+      if (entry[field] === '' || entry[field] === null || entry[field] === undefined || entry[field] === false) {
+        delete entry[field];
+      }
+    });
+
+    if (Object.keys(entry).length) {
+      collection[key] = entry;
+    } else {
+      delete collection[key];
+    }
+  }
+
+  function updateEvent(edits, event, changes) {
+    updateEntry(edits.events, getEventKey(event), changes);
+  }
+
+  function updateCourse(edits, event, changes) {
+    updateEntry(edits.courses, getCourseKey(event), changes);
+  }
+
+  function isExcluded(edits, event) {
+    return !!edits.events[getEventKey(event)]?.excluded;
+  }
+
+  // Returns the events to export: unchecked sessions removed, renames and
+  // location overrides applied, and `color` / `reminderMinutes` attached.
+  // `preferences` are the options page defaults (title template, colour
+  // scheme, reminder); a course's or session's own edits win over them.
+  function apply(events, edits, preferences = {}) {
+    const courseKeys = Array.from(new Set(events.map(getCourseKey)));
+
+    return events
+      .filter(event => !isExcluded(edits, event))
+      .map(event => {
+        const eventEdit = edits.events[getEventKey(event)] || {};
+        const courseEdit = edits.courses[getCourseKey(event)] || {};
+        const edited = { ...event };
+        const color = getColor(courseEdit.colorId) || getSchemeColor(event, preferences.colorScheme, courseKeys);
+        const reminderMinutes = courseEdit.reminderMinutes ?? preferences.reminderMinutes;
+
+        if (eventEdit.location) edited.location = eventEdit.location;
+        if (eventEdit.subject) edited.subject = eventEdit.subject;
+        else if (preferences.titleTemplate) edited.subject = formatTitle(edited, preferences.titleTemplate);
+        if (color) edited.color = color;
+        if (reminderMinutes) edited.reminderMinutes = reminderMinutes;
+
+        return edited;
+      });
+  }
+
+  window.ConcordiaScheduleEdits = {
+    COLORS,
+    REMINDER_OPTIONS,
+    createEmptyEdits,
+    getEventKey,
+    getCourseKey,
+    getColor,
+    formatTitle,
+    load,
+    save,
+    updateEvent,
+    updateCourse,
+    isExcluded,
+    apply
+  };
+
+})();
@@ -0,0 +1,144 @@
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'savedSchedules';
+  const LAST_TERM_KEY = 'lastScheduleTerm';
+  const EXAMS_KEY = 'savedExams';
+
+  function formatISODate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  function parseISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    if (!match) return null;
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  }
+
+  // chrome.storage only keeps JSON-compatible values, so the resolved
+  // calendar's dates are stored as YYYY-MM-DD strings.
+  function serializeCalendar(calendar) {
+    return {
+      term: calendar.term,
+      startDate: formatISODate(calendar.startDate),
+      endDate: formatISODate(calendar.endDate),
+      closures: calendar.closures.map(period => ({
+        start: formatISODate(period.start),
+        end: formatISODate(period.end)
+      })),
+      makeupDays: calendar.makeupDays.map(makeup => ({ date: formatISODate(makeup.date), day: makeup.day }))
+    };
+  }
+
+  function deserializeCalendar(calendar) {
+    return {
+      term: calendar.term,
+      startDate: parseISODate(calendar.startDate),
+      endDate: parseISODate(calendar.endDate),
+      closures: calendar.closures.map(period => ({
+        start: parseISODate(period.start),
+        end: parseISODate(period.end)
+      })),
+      makeupDays: calendar.makeupDays.map(makeup => ({ date: parseISODate(makeup.date), day: makeup.day }))
+    };
+  }
+
+  async function loadAll() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+  }
+
+  // Replaces the saved schedule of `schedule.calendar.term` and makes it the one
+  // the popup reopens on. `sequences` maps each event UID to the SEQUENCE its
+  // next .ics export carries, so later changes replace earlier imports.
+  async function saveSchedule({ events, conflicts, changes, sequences, results, enrolledCourses, calendar, sourceUrl, fromPage }) {
+    const allTerms = await loadAll();
+    const entry = {
+      term: calendar.term,
+      savedAt: new Date().toISOString(),
+      sourceUrl,
+      fromPage: !!fromPage,
+      events,
+      conflicts,
+      changes: changes || null,
+      sequences: sequences || {},
+      results: results || [],
+      enrolledCourses,
+      calendar: serializeCalendar(calendar)
+    };
+
+    allTerms[calendar.term] = entry;
+    await chrome.storage.local.set({ [STORAGE_KEY]: allTerms, [LAST_TERM_KEY]: calendar.term });
+    return { ...entry, calendar };
+  }
+
+  async function loadSchedule(term) {
+    const allTerms = await loadAll();
+    const entry = allTerms[term];
+    if (!entry) return null;
+
+    return { ...entry, sequences: entry.sequences || {}, calendar: deserializeCalendar(entry.calendar) };
+  }
+
+  async function loadLastSchedule() {
+    const stored = await chrome.storage.local.get(LAST_TERM_KEY);
+    return stored[LAST_TERM_KEY] ? loadSchedule(stored[LAST_TERM_KEY]) : null;
+  }
+
+  async function selectTerm(term) {
+    await chrome.storage.local.set({ [LAST_TERM_KEY]: term });
+    return loadSchedule(term);
+  }
+
+  // Final exams are imported from their own page, so they are kept next to the
+  // term's class schedule rather than in it, with their own `sequences`
+  async function saveExams(term, { exams, conflicts, rejected, sequences, sourceUrl }) {
+    const stored = await chrome.storage.local.get(EXAMS_KEY);
+    const allTerms = stored[EXAMS_KEY] || {};
+    const entry = {
+      term,
+      savedAt: new Date().toISOString(),
+      sourceUrl,
+      exams,
+      conflicts,
+      rejected: rejected || [],
+      sequences: sequences || {}
+    };
+
+    allTerms[term] = entry;
+    await chrome.storage.local.set({ [EXAMS_KEY]: allTerms });
+    return entry;
+  }
+
+  async function loadExams(term) {
+    const stored = await chrome.storage.local.get(EXAMS_KEY);
+    return (stored[EXAMS_KEY] || {})[term] || null;
+  }
+
+  async function getLastTerm() {
+    const stored = await chrome.storage.local.get(LAST_TERM_KEY);
+    return stored[LAST_TERM_KEY] || null;
+  }
+
+  // Most recently extracted first
+  async function listTerms() {
+    const allTerms = await loadAll();
+    return Object.values(allTerms)
+      .map(({ term, savedAt }) => ({ term, savedAt }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  window.ConcordiaScheduleStore = {
+    saveSchedule,
+    loadSchedule,
+    loadLastSchedule,
+    selectTerm,
+    listTerms,
+    saveExams,
+    loadExams,
+    getLastTerm
+  };
+
+})();
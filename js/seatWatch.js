@@ -0,0 +1,89 @@
+// Watch list of full sections, shared by the popup and the background
+// service worker (which has no `window`, hence `self`).
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'seatWatches';
+  const MAX_HISTORY = 50;
+
+  function getWatchId({ term, code, section }) {
+    return `${term}|${code}|${section}`;
+  }
+
+  async function loadWatches() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || {};
+  }
+
+  async function saveWatches(watches) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: watches });
+  }
+
+  async function listWatches() {
+    const watches = await loadWatches();
+    return Object.values(watches).sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  }
+
+  async function addWatch({ term, code, section, type, counts }) {
+    const watches = await loadWatches();
+    const id = getWatchId({ term, code, section });
+
+    if (!watches[id]) {
+      watches[id] = { id, term, code, section, type, addedAt: new Date().toISOString(), last: null, history: [] };
+      if (counts) recordCounts(watches[id], counts);
+      await saveWatches(watches);
+    }
+    return watches[id];
+  }
+
+  async function removeWatch(id) {
+    const watches = await loadWatches();
+    delete watches[id];
+    await saveWatches(watches);
+  }
+
+  function getOpenSeats(counts) {
+    return Math.max(counts.capacity - counts.enrolled, 0);
+  }
+
+  // History only grows when a count actually changes
+  function recordCounts(watch, counts) {
+    const snapshot = {
+      at: new Date().toISOString(),
+      capacity: counts.capacity,
+      enrolled: counts.enrolled,
+      waitlist: counts.waitlist
+    };
+    const previous = watch.last;
+    const changed = !previous ||
+      previous.capacity !== snapshot.capacity ||
+      previous.enrolled !== snapshot.enrolled ||
+      previous.waitlist !== snapshot.waitlist;
+
+    watch.last = snapshot;
+    if (changed) {
+      watch.history = [...watch.history, snapshot].slice(-MAX_HISTORY);
+    }
+    return { previous, changed };
+  }
+
+  async function updateWatch(id, counts) {
+    const watches = await loadWatches();
+    const watch = watches[id];
+    if (!watch) return null;
+
+    const { previous, changed } = recordCounts(watch, counts);
+    await saveWatches(watches);
+    return { watch, previous, changed };
+  }
+
+  self.ConcordiaSeatWatch = {
+    getWatchId,
+    listWatches,
+    addWatch,
+    removeWatch,
+    updateWatch,
+    getOpenSeats
+  };
+
+})();
@@ -0,0 +1,122 @@
+// User preferences from the options page, kept in chrome.storage.sync so they
+// follow the browser profile. Shared by the popup, the options page and the
+// background service worker (hence `self`).
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  const DEFAULT_BACKEND_URL = 'https://concordiasync-production.up.railway.app';
+  const DEFAULT_GOOGLE_CALENDAR_API_URL = 'https://www.googleapis.com/calendar/v3';
+
+  const EXPORT_FORMATS = Object.freeze([
+    { value: 'ics', label: 'iCalendar file (.ics)' },
+    { value: 'csv', label: 'CSV file' },
+    { value: 'google', label: 'Google Calendar sync' }
+  ]);
+
+  const COLOR_SCHEMES = Object.freeze([
+    { value: 'none', label: 'Calendar default' },
+    { value: 'course', label: 'One colour per course' },
+    { value: 'component', label: 'By component (lecture, tutorial, lab)' }
+  ]);
+
+  const DEFAULTS = Object.freeze({
+    backendUrl: DEFAULT_BACKEND_URL,
+    localOnly: false,
+    exportFormat: 'ics',
+    reminderMinutes: 0,
+    titleTemplate: '{code} - {title}',
+    colorScheme: 'none',
+    googleClientId: '',
+    googleCalendarApiUrl: DEFAULT_GOOGLE_CALENDAR_API_URL
+  });
+
+  // https anywhere, plain http only for a server on this machine
+  function normalizeServiceUrl(value, defaultUrl) {
+    const text = String(value || '').trim().replace(/\/+$/, '');
+    if (!text) return defaultUrl;
+
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      return null;
+    }
+
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) return null;
+    if (url.search || url.hash || url.username || url.password) return null;
+
+    return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+  }
+
+  function normalizeBackendUrl(value) {
+    return normalizeServiceUrl(value, DEFAULT_BACKEND_URL);
+  }
+
+  // e.g. the mock server of backend/mock/googleCalendarServer.js
+  function normalizeGoogleCalendarApiUrl(value) {
+    return normalizeServiceUrl(value, DEFAULT_GOOGLE_CALENDAR_API_URL);
+  }
+
+  // Empty for the OAuth client of manifest.json
+  function normalizeGoogleClientId(value) {
+    const text = String(value || '').trim();
+    return !text || /^[\w.-]+\.apps\.googleusercontent\.com$/.test(text) ? text : null;
+  }
+
+  // Unknown or invalid stored values fall back to their defaults
+  function normalize(stored = {}) {
+    const settings = { ...DEFAULTS };
+    const reminder = parseInt(stored.reminderMinutes, 10);
+
+    if (stored.backendUrl !== undefined) settings.backendUrl = normalizeBackendUrl(stored.backendUrl) || DEFAULT_BACKEND_URL;
+    if (typeof stored.localOnly === 'boolean') settings.localOnly = stored.localOnly;
+    if (EXPORT_FORMATS.some(format => format.value === stored.exportFormat)) settings.exportFormat = stored.exportFormat;
+    if (!isNaN(reminder) && reminder >= 0 && reminder <= 1440) settings.reminderMinutes = reminder;
+    if (typeof stored.titleTemplate === 'string' && stored.titleTemplate.trim()) settings.titleTemplate = stored.titleTemplate.trim().slice(0, 100);
+    if (COLOR_SCHEMES.some(scheme => scheme.value === stored.colorScheme)) settings.colorScheme = stored.colorScheme;
+    if (stored.googleClientId !== undefined) settings.googleClientId = normalizeGoogleClientId(stored.googleClientId) || '';
+    if (stored.googleCalendarApiUrl !== undefined) {
+      settings.googleCalendarApiUrl = normalizeGoogleCalendarApiUrl(stored.googleCalendarApiUrl) || DEFAULT_GOOGLE_CALENDAR_API_URL;
+    }
+
+    return settings;
+  }
+
+  async function load() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    return normalize(stored[STORAGE_KEY]);
+  }
+
+  async function save(changes) {
+    const settings = normalize({ ...(await load()), ...changes });
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  function isDefaultBackend(settings) {
+    return settings.backendUrl === DEFAULT_BACKEND_URL;
+  }
+
+  function isDefaultGoogleCalendarApi(settings) {
+    return settings.googleCalendarApiUrl === DEFAULT_GOOGLE_CALENDAR_API_URL;
+  }
+
+  self.ConcordiaSettings = {
+    DEFAULTS,
+    DEFAULT_BACKEND_URL,
+    DEFAULT_GOOGLE_CALENDAR_API_URL,
+    EXPORT_FORMATS,
+    COLOR_SCHEMES,
+    normalizeBackendUrl,
+    normalizeGoogleCalendarApiUrl,
+    normalizeGoogleClientId,
+    load,
+    save,
+    isDefaultBackend,
+    isDefaultGoogleCalendarApi
+  };
+
+})();
@@ -0,0 +1,149 @@
+(function() {
+  'use strict';
+
+  const Model = window.ConcordiaScheduleModel;
+
+  const HOUR_HEIGHT = 32;
+  const DEFAULT_FIRST_HOUR = 8;
+  const DEFAULT_LAST_HOUR = 18;
+  const PALETTE = [
+    '#0969da', '#1a7f37', '#8250df', '#bf3989', '#bc4c00',
+    '#0a7ea4', '#9a6700', '#cf222e', '#57606a', '#116329'
+  ];
+
+  function toMinutes(time) {
+    const [hours, minutes] = (time || '00:00').split(':').map(value => parseInt(value, 10));
+    return hours * 60 + minutes;
+  }
+
+  function getColorKey(event) {
+    return `${event.code || event.subject}|${event.type || ''}`;
+  }
+
+  // Same course + component keeps the same colour across renders of one schedule
+  function assignColors(events) {
+    const keys = Array.from(new Set(events.map(getColorKey))).sort();
+    return new Map(keys.map((key, index) => [key, PALETTE[index % PALETTE.length]]));
+  }
+
+  // Splits each day's events into lanes so overlapping blocks sit side by side,
+  // and flags every event that overlaps another one.
+  function layoutDay(dayEvents) {
+    const sorted = dayEvents
+      .map(event => ({ event, start: toMinutes(event.startTime), end: toMinutes(event.endTime) }))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const layout = [];
+    let cluster = [];
+    let clusterEnd = -1;
+
+    const closeCluster = () => {
+      const lanes = [];
+      cluster.forEach(item => {
+        let lane = lanes.findIndex(laneEnd => laneEnd <= item.start);
+        if (lane === -1) {
+          lane = lanes.length;
+          lanes.push(item.end);
+        } else {
+          lanes[lane] = item.end;
+        }
+        item.lane = lane;
+      });
+      cluster.forEach(item => {
+        item.laneCount = lanes.length;
+        item.conflict = cluster.some(other => other !== item && other.start < item.end && item.start < other.end);
+        layout.push(item);
+      });
+      cluster = [];
+    };
+
+    sorted.forEach(item => {
+      if (cluster.length && item.start >= clusterEnd) closeCluster();
+      cluster.push(item);
+      clusterEnd = Math.max(clusterEnd, item.end);
+    });
+    if (cluster.length) closeCluster();
+
+    return layout;
+  }
+
+  function getHourRange(events) {
+    if (!events.length) return { first: DEFAULT_FIRST_HOUR, last: DEFAULT_LAST_HOUR };
+
+    const starts = events.map(event => Math.floor(toMinutes(event.startTime) / 60));
+    const ends = events.map(event => Math.ceil(toMinutes(event.endTime) / 60));
+
+    return {
+      first: Math.min(DEFAULT_FIRST_HOUR, ...starts),
+      last: Math.max(DEFAULT_LAST_HOUR, ...ends)
+    };
+  }
+
+  function render(container, events, { onSelect } = {}) {
+    container.innerHTML = '';
+
+    const colors = assignColors(events);
+    const { first, last } = getHourRange(events);
+    const bodyHeight = (last - first) * HOUR_HEIGHT;
+    let conflictCount = 0;
+
+    const header = document.createElement('div');
+    header.className = 'timetable-header';
+    header.appendChild(document.createElement('div'));
+    Model.WEEKDAY_SHORT_NAMES.forEach(name => {
+      const dayLabel = document.createElement('div');
+      dayLabel.textContent = name;
+      header.appendChild(dayLabel);
+    });
+
+    const body = document.createElement('div');
+    body.className = 'timetable-body';
+    body.style.height = `${bodyHeight}px`;
+
+    const hours = document.createElement('div');
+    hours.className = 'timetable-hours';
+    for (let hour = first; hour < last; hour++) {
+      const label = document.createElement('div');
+      label.className = 'timetable-hour';
+      label.style.height = `${HOUR_HEIGHT}px`;
+      label.textContent = `${hour}:00`;
+      hours.appendChild(label);
+    }
+    body.appendChild(hours);
+
+    Object.values(Model.WEEKDAYS).forEach(day => {
+      const column = document.createElement('div');
+      column.className = 'timetable-day';
+
+      layoutDay(events.filter(event => event.day === day)).forEach(item => {
+        const block = document.createElement('button');
+        block.type = 'button';
+        block.className = item.conflict ? 'timetable-block conflict' : 'timetable-block';
+        block.style.top = `${((item.start - first * 60) / 60) * HOUR_HEIGHT}px`;
+        block.style.height = `${Math.max(((item.end - item.start) / 60) * HOUR_HEIGHT, 12)}px`;
+        block.style.left = `${(item.lane / item.laneCount) * 100}%`;
+        block.style.width = `${100 / item.laneCount}%`;
+        block.style.backgroundColor = item.event.color ? item.event.color.hex : colors.get(getColorKey(item.event));
+        block.textContent = `${item.conflict ? '⚠ ' : ''}${item.event.code || item.event.subject.split(' - ')[0]}`;
+        block.title = `${item.event.subject} (${item.event.type || 'Class'}) ${item.event.startTime}-${item.event.endTime}`;
+
+        if (item.conflict) conflictCount++;
+        if (onSelect) block.addEventListener('click', () => onSelect(item.event));
+
+        column.appendChild(block);
+      });
+
+      body.appendChild(column);
+    });
+
+    container.appendChild(header);
+    container.appendChild(body);
+
+    return { conflictCount };
+  }
+
+  window.ConcordiaTimetable = {
+    render
+  };
+
+})();
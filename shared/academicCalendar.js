@@ -0,0 +1,201 @@
+// Academic calendars: first and last day of classes, breaks, statutory
+// holidays and make-up days of a term. Official dates come from the versioned
+// files in shared/calendars/<term>.json, read by the backend from disk and by
+// the extension from its own package; terms without a file get an estimated
+// calendar. Shared by the extension and the backend, like scheduleModel.js.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scheduleModel'));
+  } else {
+    root.ConcordiaAcademicCalendar = factory(root.ConcordiaScheduleModel);
+  }
+})(typeof self !== 'undefined' ? self : this, function(scheduleModel) {
+  'use strict';
+
+  const CALENDAR_VERSION = 1;
+  const { TERM_SEASONS, WEEKDAYS } = scheduleModel;
+
+  // `loadData(term)` returns the parsed calendar file of a term, or null when
+  // there is none. Two-term (Fall/Winter) sessions are built from their parts.
+  function buildCalendar(term, loadData) {
+    const parsed = scheduleModel.parseTerm(term);
+
+    if (!parsed) {
+      throw new Error(`Invalid term code: ${term}`);
+    }
+
+    if (parsed.season === TERM_SEASONS.FALL_WINTER) {
+      return combineCalendars(term, scheduleModel.getComponentTerms(term).map(part => buildCalendar(part, loadData)));
+    }
+
+    const data = loadData(term);
+    return data ? fromData(term, data) : estimateCalendar(term);
+  }
+
+  function fromData(term, data) {
+    if (data.version !== CALENDAR_VERSION) {
+      throw new Error(`Unsupported academic calendar version ${data.version} for term ${term}`);
+    }
+
+    return {
+      ...data,
+      breaks: data.breaks || [],
+      holidays: data.holidays || [],
+      makeupDays: data.makeupDays || [],
+      source: 'official'
+    };
+  }
+
+  // Two-term (Fall/Winter) sessions run from the first day of Fall classes to the
+  // last day of Winter classes, with the December break in between.
+  function combineCalendars(term, [fall, winter]) {
+    const breakStart = addDays(parseDate(fall.classesEnd), 1);
+    const breakEnd = addDays(parseDate(winter.classesStart), -1);
+
+    return {
+      version: CALENDAR_VERSION,
+      term,
+      season: 'fall/winter',
+      year: fall.year,
+      classesStart: fall.classesStart,
+      classesEnd: winter.classesEnd,
+      breaks: [
+        ...fall.breaks,
+        { name: 'Winter break', start: formatISODate(breakStart), end: formatISODate(breakEnd) },
+        ...winter.breaks
+      ],
+      holidays: [...fall.holidays, ...winter.holidays],
+      makeupDays: [...fall.makeupDays, ...winter.makeupDays],
+      source: fall.source === 'official' && winter.source === 'official' ? 'official' : 'estimated'
+    };
+  }
+
+  // Used when no official data file exists for a term: approximates
+  // Concordia's usual pattern so exports stay reasonable.
+  function estimateCalendar(term) {
+    const { year, season, name } = scheduleModel.parseTerm(term);
+    const breaks = [];
+    let start;
+    let end;
+
+    switch (season) {
+      case TERM_SEASONS.FALL:
+        start = addDays(nthWeekday(year, 8, WEEKDAYS.MONDAY, 1), 1); // Tuesday after Labour Day
+        end = addDays(start, 13 * 7 - 1);
+        break;
+      case TERM_SEASONS.WINTER: {
+        start = nthWeekday(year, 0, WEEKDAYS.MONDAY, 1);
+        if (start.getDate() < 5) start = addDays(start, 7);
+        end = addDays(start, 14 * 7 - 3);
+        const lastFebruaryMonday = lastWeekday(year, 1, WEEKDAYS.MONDAY);
+        breaks.push({
+          name: 'Mid-term break',
+          start: formatISODate(lastFebruaryMonday),
+          end: formatISODate(addDays(lastFebruaryMonday, 6))
+        });
+        break;
+      }
+      default:
+        start = nthWeekday(year, 4, WEEKDAYS.MONDAY, 1);
+        end = addDays(start, 15 * 7 - 3);
+    }
+
+    const holidays = getStatutoryHolidays(year)
+      .filter(holiday => holiday.date >= formatISODate(start) && holiday.date <= formatISODate(end));
+
+    return {
+      version: CALENDAR_VERSION,
+      term,
+      season: name.toLowerCase(),
+      year,
+      classesStart: formatISODate(start),
+      classesEnd: formatISODate(end),
+      breaks,
+      holidays,
+      makeupDays: [],
+      source: 'estimated'
+    };
+  }
+
+  function getStatutoryHolidays(year) {
+    const easter = getEasterSunday(year);
+    const victoriaDay = addDays(new Date(year, 4, 24), -scheduleModel.weekdayOf(new Date(year, 4, 24)));
+
+    return [
+      { name: 'Good Friday', date: addDays(easter, -2) },
+      { name: 'Easter Monday', date: addDays(easter, 1) },
+      { name: 'Victoria Day', date: victoriaDay },
+      { name: 'Saint-Jean-Baptiste Day', date: new Date(year, 5, 24) },
+      { name: 'Canada Day', date: new Date(year, 6, 1) },
+      { name: 'Labour Day', date: nthWeekday(year, 8, WEEKDAYS.MONDAY, 1) },
+      { name: 'Thanksgiving', date: nthWeekday(year, 9, WEEKDAYS.MONDAY, 2) }
+    ].map(holiday => ({ name: holiday.name, date: formatISODate(holiday.date) }));
+  }
+
+  // "2025-09-02" (or a Date) to a local date at midnight
+  function parseDate(value) {
+    if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    if (typeof value !== 'string') return null;
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (match) {
+      return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    }
+
+    const date = new Date(value);
+    return isNaN(date) ? null : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  function formatISODate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  function nthWeekday(year, month, weekday, n) {
+    const first = scheduleModel.getFirstWeekdayOccurrence(new Date(year, month, 1), weekday);
+    return addDays(first, (n - 1) * 7);
+  }
+
+  function lastWeekday(year, month, weekday) {
+    const last = new Date(year, month + 1, 0);
+    const offset = (scheduleModel.weekdayOf(last) - weekday + 7) % 7;
+    return addDays(last, -offset);
+  }
+
+  function getEasterSunday(year) {
+    // Anonymous Gregorian algorithm
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  }
+
+  return {
+    CALENDAR_VERSION,
+    buildCalendar,
+    combineCalendars,
+    estimateCalendar,
+    getStatutoryHolidays,
+    parseDate,
+    formatISODate,
+    addDays
+  };
+});
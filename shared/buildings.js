@@ -0,0 +1,165 @@
+// Concordia building directory: turns a room code such as "H 110" or
+// "MB S1.105" into the building's name, campus, address and a map link.
+// Shared by the extension and the backend, like scheduleModel.js.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ConcordiaBuildings = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const CAMPUSES = Object.freeze({
+    SGW: Object.freeze({ name: 'Sir George Williams (SGW) campus', shortName: 'SGW' }),
+    LOY: Object.freeze({ name: 'Loyola campus', shortName: 'Loyola' })
+  });
+
+  const LOYOLA_ADDRESS = '7141 Sherbrooke St. W.';
+
+  function building(campus, name, address, latitude, longitude, accessibility) {
+    return Object.freeze({ campus, name, address, latitude, longitude, accessibility: accessibility || '' });
+  }
+
+  // Coordinates are given for the buildings classes are usually held in;
+  // annexes without them are linked on the map by street address. "Metro
+  // tunnel" means an indoor route to Guy-Concordia station.
+  const BUILDINGS = Object.freeze({
+    B: building('SGW', 'B Annex', '2160 Bishop St.', null, null),
+    CI: building('SGW', 'CI Annex', '2149 Mackay St.', null, null),
+    CL: building('SGW', 'CL Annex', '1665 Ste-Catherine St. W.', null, null),
+    D: building('SGW', 'D Annex', '2140 Bishop St.', null, null),
+    EN: building('SGW', 'EN Annex', '2070 Mackay St.', null, null),
+    ER: building('SGW', 'ER Building', '2155 Guy St.', 45.4966, -73.5798),
+    EV: building('SGW', 'Engineering, Computer Science and Visual Arts Integrated Complex', '1515 Ste-Catherine St. W.', 45.4955, -73.5779,
+      'Step-free on Ste-Catherine St. and Guy St., metro tunnel'),
+    FA: building('SGW', 'FA Annex', '2060 Mackay St.', null, null),
+    FB: building('SGW', 'Faubourg Building', '1250 Guy St.', 45.4946, -73.5774),
+    FG: building('SGW', 'Faubourg Ste-Catherine Building', '1610 Ste-Catherine St. W.', 45.4942, -73.5784),
+    GA: building('SGW', 'Grey Nuns Annex', '1211 St-Mathieu St.', null, null),
+    GM: building('SGW', 'Guy-De Maisonneuve Building', '1550 De Maisonneuve Blvd. W.', 45.4959, -73.5788),
+    GN: building('SGW', 'Grey Nuns Building', '1190 Guy St.', 45.4936, -73.5770),
+    GS: building('SGW', 'GS Building', '1538 Sherbrooke St. W.', null, null),
+    H: building('SGW', 'Henry F. Hall Building', '1455 De Maisonneuve Blvd. W.', 45.4972, -73.5789,
+      'Step-free on De Maisonneuve Blvd., metro tunnel'),
+    K: building('SGW', 'K Annex', '2150 Bishop St.', null, null),
+    LB: building('SGW', 'J.W. McConnell Building (Webster Library)', '1400 De Maisonneuve Blvd. W.', 45.4968, -73.5780,
+      'Step-free on De Maisonneuve Blvd., metro tunnel'),
+    LD: building('SGW', 'LD Building', '1424 Bishop St.', null, null),
+    LS: building('SGW', 'Learning Square', '1535 De Maisonneuve Blvd. W.', 45.4964, -73.5795),
+    M: building('SGW', 'M Annex', '2135 Mackay St.', null, null),
+    MB: building('SGW', 'John Molson Building', '1450 Guy St.', 45.4954, -73.5790,
+      'Step-free on Guy St., metro tunnel'),
+    MI: building('SGW', 'MI Annex', '2130 Bishop St.', null, null),
+    MU: building('SGW', 'MU Annex', '2170 Bishop St.', null, null),
+    P: building('SGW', 'P Annex', '2020 Mackay St.', null, null),
+    PR: building('SGW', 'PR Annex', '2100 Mackay St.', null, null),
+    Q: building('SGW', 'Q Annex', '2010 Mackay St.', null, null),
+    R: building('SGW', 'R Annex', '2050 Mackay St.', null, null),
+    RR: building('SGW', 'RR Annex', '2040 Mackay St.', null, null),
+    S: building('SGW', 'S Annex', '2145 Mackay St.', null, null),
+    SB: building('SGW', 'Samuel Bronfman Building', '1590 Docteur-Penfield Ave.', 45.4966, -73.5861),
+    T: building('SGW', 'T Annex', '2030 Mackay St.', null, null),
+    TD: building('SGW', 'Toronto-Dominion Building', '1410 Guy St.', 45.4951, -73.5786),
+    V: building('SGW', 'V Annex', '2110 Mackay St.', null, null),
+    VA: building('SGW', 'Visual Arts Building', '1395 René-Lévesque Blvd. W.', 45.4960, -73.5738),
+    X: building('SGW', 'X Annex', '2080 Mackay St.', null, null),
+    Z: building('SGW', 'Z Annex', '2090 Mackay St.', null, null),
+    CB: building('SGW', 'CB Building', '', null, null),
+
+    AD: building('LOY', 'Administration Building', LOYOLA_ADDRESS, 45.4580, -73.6394),
+    BB: building('LOY', 'BB Annex', '3502 Belmore Ave.', null, null),
+    BH: building('LOY', 'BH Annex', '3500 Belmore Ave.', null, null),
+    CC: building('LOY', 'Central Building', LOYOLA_ADDRESS, 45.4583, -73.6403,
+      'Step-free from the quadrangle'),
+    CJ: building('LOY', 'Communication Studies and Journalism Building', LOYOLA_ADDRESS, 45.4574, -73.6404),
+    DO: building('LOY', 'Stinger Dome', '7200 Sherbrooke St. W.', 45.4575, -73.6358),
+    FC: building('LOY', 'F.C. Smith Building', LOYOLA_ADDRESS, 45.4585, -73.6393),
+    GE: building('LOY', 'Centre for Structural and Functional Genomics', LOYOLA_ADDRESS, 45.4569, -73.6404),
+    HA: building('LOY', 'Hingston Hall, wing HA', LOYOLA_ADDRESS, null, null),
+    HB: building('LOY', 'Hingston Hall, wing HB', LOYOLA_ADDRESS, null, null),
+    HC: building('LOY', 'Hingston Hall, wing HC', LOYOLA_ADDRESS, null, null),
+    HU: building('LOY', 'Applied Science Hub', LOYOLA_ADDRESS, 45.4585, -73.6418),
+    JR: building('LOY', 'Jesuit Residence', LOYOLA_ADDRESS, null, null),
+    PC: building('LOY', 'PERFORM Centre', '7200 Sherbrooke St. W.', 45.4570, -73.6373),
+    PS: building('LOY', 'Physical Services Building', LOYOLA_ADDRESS, null, null),
+    PT: building('LOY', 'Oscar Peterson Concert Hall', LOYOLA_ADDRESS, 45.4591, -73.6389),
+    PY: building('LOY', 'Psychology Building', LOYOLA_ADDRESS, 45.4589, -73.6405),
+    QA: building('LOY', 'Quadrangle', LOYOLA_ADDRESS, null, null),
+    RA: building('LOY', 'Recreation and Athletics Complex', '7200 Sherbrooke St. W.', 45.4568, -73.6377),
+    RF: building('LOY', 'Loyola Jesuit Hall and Conference Centre', '4105 West Broadway', null, null),
+    SC: building('LOY', 'Student Centre', LOYOLA_ADDRESS, 45.4591, -73.6392),
+    SH: building('LOY', 'Future Buildings Laboratory', LOYOLA_ADDRESS, null, null),
+    SI: building('LOY', 'St. Ignatius of Loyola Church', '4455 West Broadway', null, null),
+    SP: building('LOY', 'Richard J. Renaud Science Complex', LOYOLA_ADDRESS, 45.4577, -73.6417,
+      'Step-free on both levels, elevators to every floor'),
+    TA: building('LOY', 'Terrebonne Building', '7079 Terrebonne St.', null, null),
+    TB: building('LOY', 'TB Annex', '', null, null),
+    VE: building('LOY', 'Vanier Extension', LOYOLA_ADDRESS, 45.4589, -73.6386),
+    VL: building('LOY', 'Vanier Library', LOYOLA_ADDRESS, 45.4590, -73.6384)
+  });
+
+  // "H 110", "H-937", "H110", "MB S1.105", "EV 3.309"
+  const ROOM_PATTERN = /^([A-Z]{1,2})(?:[\s-]+|(?=\d))([A-Z]?\d[\w.-]*)(?=$|[\s,])/;
+
+  function parseLocation(location) {
+    const match = ROOM_PATTERN.exec((location || '').trim().toUpperCase());
+    return match ? { building: match[1], room: match[2] } : null;
+  }
+
+  function getBuilding(location) {
+    const parsed = parseLocation(location);
+    const entry = parsed && BUILDINGS[parsed.building];
+    return entry ? { code: parsed.building, ...entry } : null;
+  }
+
+  function getCampus(location) {
+    const entry = getBuilding(location);
+    return entry ? entry.campus : null;
+  }
+
+  function getMapsUrl(location) {
+    const entry = getBuilding(location);
+    if (!entry || (entry.latitude === null && !entry.address)) return null;
+
+    const query = entry.latitude !== null
+      ? `${entry.latitude},${entry.longitude}`
+      : [entry.name, entry.address || null, 'Montréal, QC'].filter(Boolean).join(', ');
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
+  }
+
+  // Calendar location: the room code first, so it still reads as a room, then
+  // the building and its street address for map lookups. Anything that is not
+  // a known building (TBA, Online, a location typed by the user) is kept as is.
+  function formatLocation(location) {
+    const parsed = parseLocation(location);
+    const entry = getBuilding(location);
+    if (!entry) return location || '';
+
+    return [`${parsed.building} ${parsed.room}`, entry.name, entry.address && `${entry.address}, Montréal`]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  // Event description part: building, campus, map link and accessible entrance
+  function describeLocation(location) {
+    const entry = getBuilding(location);
+    if (!entry) return '';
+
+    const mapsUrl = getMapsUrl(location);
+    return [`${entry.name}, ${CAMPUSES[entry.campus].shortName} campus`, mapsUrl && `Map: ${mapsUrl}`, entry.accessibility && `Accessible entrance: ${entry.accessibility}`]
+      .filter(Boolean)
+      .join(' | ');
+  }
+
+  return {
+    CAMPUSES,
+    BUILDINGS,
+    parseLocation,
+    getBuilding,
+    getCampus,
+    getMapsUrl,
+    formatLocation,
+    describeLocation
+  };
+});
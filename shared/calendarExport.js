@@ -0,0 +1,507 @@
+// Calendar exports: the weekly meeting pattern of each class over a term
+// (closures, make-up days, section dates), the .ics and CSV files built from
+// it and the Google Calendar event resources. Shared by the extension and the
+// backend, like scheduleModel.js; dates are local Date objects at midnight.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scheduleModel'), require('./buildings'), require('./academicCalendar'));
+  } else {
+    root.ConcordiaCalendarExport = factory(root.ConcordiaScheduleModel, root.ConcordiaBuildings, root.ConcordiaAcademicCalendar);
+  }
+})(typeof self !== 'undefined' ? self : this, function(scheduleModel, buildings, academicCalendar) {
+  'use strict';
+
+  const ICS_TIMEZONE = 'America/Montreal';
+
+  const ICS_VTIMEZONE = Object.freeze([
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICS_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'TZNAME:EDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'TZNAME:EST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+
+  const CSV_HEADERS = Object.freeze([
+    'Subject', 'Start Date', 'Start Time', 'End Date', 'End Time',
+    'All Day Event', 'Description', 'Location', 'Private'
+  ]);
+
+  // Titles and rooms stay short; descriptions hold the map link and every
+  // instructor of a co-taught section, so they get more room
+  const CSV_FIELD_LENGTH = 255;
+  const CSV_DESCRIPTION_LENGTH = 1024;
+
+  const { parseDate } = academicCalendar;
+
+  // Converts the ISO strings of an academic calendar (see academicCalendar.js)
+  // into dates, applying any start/end/break overrides sent with an export
+  // request.
+  function resolveCalendar(calendar, overrides = {}) {
+    const closures = [
+      ...calendar.breaks.map(period => ({ name: period.name, start: period.start, end: period.end })),
+      ...calendar.holidays.map(holiday => ({ name: holiday.name, start: holiday.date, end: holiday.date })),
+      ...(Array.isArray(overrides.breaks) ? overrides.breaks : [])
+    ];
+
+    return {
+      term: calendar.term,
+      source: calendar.source,
+      startDate: parseDate(overrides.startDate || calendar.classesStart),
+      endDate: parseDate(overrides.endDate || calendar.classesEnd),
+      closures: closures
+        .map(period => ({ name: period.name, start: parseDate(period.start), end: parseDate(period.end) }))
+        .filter(period => period.start && period.end),
+      makeupDays: calendar.makeupDays
+        .map(makeup => ({ date: parseDate(makeup.date), day: scheduleModel.WEEKDAY_NAMES.indexOf(makeup.follows) }))
+        .filter(makeup => makeup.date && makeup.day !== -1)
+    };
+  }
+
+  function isClosed(date, calendar) {
+    return calendar.closures.some(period => date >= period.start && date <= period.end);
+  }
+
+  function getMakeupDay(date, calendar) {
+    return calendar.makeupDays.find(makeup => makeup.date.getTime() === date.getTime()) || null;
+  }
+
+  // Sections with their own dates (summer 6-week sessions, intensives, two-term
+  // courses) meet only within them; others meet for the whole term.
+  function getMeetingRange(course, calendar) {
+    return {
+      startDate: parseDate(course.startDate) || calendar.startDate,
+      endDate: parseDate(course.endDate) || calendar.endDate
+    };
+  }
+
+  // First and last class of the weekly series, the closed days in between and
+  // the make-up days ("follow Monday schedule") the class also meets on
+  function getMeetingPattern(course, calendar) {
+    const { startDate, endDate } = getMeetingRange(course, calendar);
+    const skippedDates = [];
+    const classDates = [];
+    const currentDate = scheduleModel.getFirstWeekdayOccurrence(startDate, course.day);
+
+    while (currentDate <= endDate) {
+      if (isClosed(currentDate, calendar) || getMakeupDay(currentDate, calendar)) {
+        skippedDates.push(new Date(currentDate));
+      } else {
+        classDates.push(new Date(currentDate));
+      }
+      currentDate.setDate(currentDate.getDate() + 7);
+    }
+
+    const firstDate = classDates[0] || null;
+    const lastDate = classDates[classDates.length - 1] || null;
+    const excludedDates = firstDate
+      ? skippedDates.filter(date => date > firstDate && date < lastDate)
+      : [];
+
+    const extraDates = calendar.makeupDays
+      .filter(makeup => makeup.day === course.day)
+      .filter(makeup => makeup.date >= startDate && makeup.date <= endDate)
+      .map(makeup => new Date(makeup.date));
+
+    return { firstDate, lastDate, excludedDates, extraDates };
+  }
+
+  function getMeetingDates(course, calendar) {
+    const { firstDate, lastDate, excludedDates, extraDates } = getMeetingPattern(course, calendar);
+    const excluded = new Set(excludedDates.map(date => date.getTime()));
+    const dates = [...extraDates];
+
+    if (firstDate) {
+      for (let date = new Date(firstDate); date <= lastDate; date.setDate(date.getDate() + 7)) {
+        if (!excluded.has(date.getTime())) {
+          dates.push(new Date(date));
+        }
+      }
+    }
+
+    return dates.sort((a, b) => a - b);
+  }
+
+  // One entry per weekly series, plus one-off entries for make-up days;
+  // shared by the .ics export and Google Calendar sync.
+  function buildEventSeries(courses, calendar) {
+    const series = [];
+
+    courses.forEach(course => {
+      const pattern = getMeetingPattern(course, calendar);
+
+      if (pattern.firstDate) {
+        series.push({
+          uid: generateEventUid(course),
+          course,
+          date: pattern.firstDate,
+          lastDate: pattern.lastDate,
+          excludedDates: pattern.excludedDates
+        });
+      }
+
+      pattern.extraDates.forEach(date => {
+        series.push({
+          uid: generateEventUid(course, formatICSDate(date)),
+          course,
+          date,
+          lastDate: null,
+          excludedDates: []
+        });
+      });
+    });
+
+    return series;
+  }
+
+  // Final exams follow the weekly classes as one-off events
+  function generateCSV(courses, calendar, exams = []) {
+    const events = [];
+
+    courses.forEach(course => {
+      getMeetingDates(course, calendar).forEach(date => {
+        events.push({
+          Subject: sanitizeCsvField(course.subject),
+          'Start Date': formatCsvDate(date),
+          'Start Time': course.startTime,
+          'End Date': formatCsvDate(date),
+          'End Time': course.endTime,
+          'All Day Event': 'False',
+          Description: sanitizeCsvField(course.description, CSV_DESCRIPTION_LENGTH),
+          Location: sanitizeCsvField(buildings.formatLocation(course.location)),
+          Private: 'False'
+        });
+      });
+    });
+
+    exams.forEach(exam => {
+      const date = formatCsvDate(parseDate(exam.date));
+      events.push({
+        Subject: sanitizeCsvField(exam.subject),
+        'Start Date': date,
+        'Start Time': exam.startTime,
+        'End Date': date,
+        'End Time': exam.endTime,
+        'All Day Event': 'False',
+        Description: sanitizeCsvField(exam.description, CSV_DESCRIPTION_LENGTH),
+        Location: sanitizeCsvField(exam.location),
+        Private: 'False'
+      });
+    });
+
+    return [
+      CSV_HEADERS.join(','),
+      ...events.map(event => CSV_HEADERS.map(header =>
+        `"${event[header].toString().replace(/"/g, '""')}"`
+      ).join(','))
+    ].join('\n');
+  }
+
+  // Revision numbers of the events a change touches, on top of `sequences`
+  // (UID to SEQUENCE) of earlier changes. Calendar apps only replace an
+  // imported event with a higher SEQUENCE than the one they have.
+  function updateSequences(sequences, changes, calendar) {
+    const updated = { ...(sequences || {}) };
+    if (!changes) return updated;
+
+    const touched = [
+      ...changes.added,
+      ...changes.removed,
+      ...changes.modified.flatMap(change => [change.previous, change.current])
+    ];
+
+    new Set(buildEventSeries(touched, calendar).map(item => item.uid)).forEach(uid => {
+      updated[uid] = (updated[uid] || 0) + 1;
+    });
+
+    return updated;
+  }
+
+  // The same for final exams, whose changes are found here: an exam whose
+  // date, time, room or text differs from `previousExams` is a new revision.
+  // Nothing is raised on the first import (`previousExams` null).
+  function updateExamSequences(sequences, previousExams, exams) {
+    const updated = { ...(sequences || {}) };
+    if (!previousExams) return updated;
+
+    const byUid = list => new Map(list.map(exam => [
+      generateExamUid(exam),
+      JSON.stringify([exam.date, exam.startTime, exam.endTime, exam.subject, exam.description, exam.location])
+    ]));
+    const previous = byUid(previousExams);
+    const current = byUid(exams);
+
+    new Set([...previous.keys(), ...current.keys()]).forEach(uid => {
+      if (previous.get(uid) !== current.get(uid)) updated[uid] = (updated[uid] || 0) + 1;
+    });
+
+    return updated;
+  }
+
+  // `cancelled` courses are written with STATUS:CANCELLED so importing the
+  // file removes them from calendars that already have an earlier export;
+  // `sequences` (from updateSequences) gives each revised event its SEQUENCE.
+  function generateICS(courses, calendar, { exams = [], cancelled = [], sequences = {} } = {}) {
+    const dtstamp = formatICSTimestamp(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//ConcordiaSync//Schedule Export//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Concordia Schedule',
+      `X-WR-TIMEZONE:${ICS_TIMEZONE}`,
+      ...ICS_VTIMEZONE
+    ];
+
+    const series = buildEventSeries(courses, calendar);
+
+    series.forEach(item => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${item.uid}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;TZID=${ICS_TIMEZONE}:${formatICSDateTime(item.date, item.course.startTime)}`,
+        `DTEND;TZID=${ICS_TIMEZONE}:${formatICSDateTime(item.date, item.course.endTime)}`,
+        ...getRecurrenceRules(item),
+        `SUMMARY:${escapeICSText(item.course.subject)}`,
+        `DESCRIPTION:${escapeICSText(item.course.description)}`,
+        `LOCATION:${escapeICSText(buildings.formatLocation(item.course.location))}`,
+        ...(sequences[item.uid] ? [`SEQUENCE:${sequences[item.uid]}`] : []),
+        ...(item.course.color ? [`COLOR:${item.course.color.css}`] : []),
+        ...getAlarmLines(item.course),
+        'END:VEVENT'
+      );
+    });
+
+    const currentUids = new Set(series.map(item => item.uid));
+
+    buildEventSeries(cancelled, calendar)
+      .filter(item => !currentUids.has(item.uid))
+      .forEach(item => {
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${item.uid}`,
+          `DTSTAMP:${dtstamp}`,
+          `DTSTART;TZID=${ICS_TIMEZONE}:${formatICSDateTime(item.date, item.course.startTime)}`,
+          `DTEND;TZID=${ICS_TIMEZONE}:${formatICSDateTime(item.date, item.course.endTime)}`,
+          ...getRecurrenceRules(item),
+          `SUMMARY:${escapeICSText(item.course.subject)}`,
+          'STATUS:CANCELLED',
+          `SEQUENCE:${sequences[item.uid] || 1}`,
+          'END:VEVENT'
+        );
+      });
+
+    exams.forEach(exam => {
+      const date = parseDate(exam.date);
+      const uid = generateExamUid(exam);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;TZID=${ICS_TIMEZONE}:${formatICSDateTime(date, exam.startTime)}`,
+        `DTEND;TZID=${ICS_TIMEZONE}:${formatICSDateTime(date, exam.endTime)}`,
+        `SUMMARY:${escapeICSText(exam.subject)}`,
+        `DESCRIPTION:${escapeICSText(exam.description)}`,
+        `LOCATION:${escapeICSText(exam.location)}`,
+        ...(sequences[uid] ? [`SEQUENCE:${sequences[uid]}`] : []),
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+  }
+
+  function getAlarmLines(course) {
+    if (!course.reminderMinutes) return [];
+
+    return [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeICSText(course.subject)}`,
+      `TRIGGER:-PT${course.reminderMinutes}M`,
+      'END:VALARM'
+    ];
+  }
+
+  function getRecurrenceRules(item) {
+    if (!item.lastDate) return [];
+
+    const lastInclusive = new Date(item.lastDate);
+    lastInclusive.setDate(lastInclusive.getDate() + 1);
+
+    return [
+      // UNTIL must be UTC; 04:59:59Z the next day is still the last day in Montreal
+      `RRULE:FREQ=WEEKLY;UNTIL=${formatICSDate(lastInclusive)}T045959Z`,
+      ...item.excludedDates.map(date => `EXDATE;TZID=${ICS_TIMEZONE}:${formatICSDateTime(date, item.course.startTime)}`)
+    ];
+  }
+
+  // Google Calendar API event resource for one entry of buildEventSeries
+  function buildGoogleEvent(item) {
+    const { course } = item;
+    const recurrence = getRecurrenceRules(item);
+    const event = {
+      summary: course.subject,
+      description: course.description || '',
+      location: buildings.formatLocation(course.location),
+      start: { dateTime: formatLocalDateTime(item.date, course.startTime), timeZone: ICS_TIMEZONE },
+      end: { dateTime: formatLocalDateTime(item.date, course.endTime), timeZone: ICS_TIMEZONE }
+    };
+
+    if (recurrence.length) {
+      event.recurrence = recurrence;
+    }
+    if (course.color) {
+      event.colorId = course.color.id;
+    }
+    if (course.reminderMinutes) {
+      event.reminders = {
+        useDefault: false,
+        overrides: [{ method: 'popup', minutes: course.reminderMinutes }]
+      };
+    }
+    return event;
+  }
+
+  function buildExamGoogleEvent(exam) {
+    const date = parseDate(exam.date);
+    return {
+      summary: exam.subject,
+      description: exam.description || '',
+      location: exam.location || '',
+      start: { dateTime: formatLocalDateTime(date, exam.startTime), timeZone: ICS_TIMEZONE },
+      end: { dateTime: formatLocalDateTime(date, exam.endTime), timeZone: ICS_TIMEZONE }
+    };
+  }
+
+  function formatLocalDateTime(date, time) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}T${time}:00`;
+  }
+
+  // Start time and the meeting's own first date keep apart the meetings of a
+  // section on one weekday (a lab morning and afternoon, back-to-back ranges)
+  function generateEventUid(course, suffix) {
+    const code = (course.code || course.subject || '').split(' - ')[0];
+    const slug = value => (value || 'x').toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    const startDate = parseDate(course.startDate);
+    const base = [
+      slug(code),
+      slug(course.section),
+      course.day,
+      slug(course.startTime),
+      ...(startDate ? [formatICSDate(startDate)] : [])
+    ].join('-');
+    return `${suffix ? `${base}-${suffix}` : base}@concordiasync`;
+  }
+
+  // One final exam per course and term, so a rescheduled exam (exported with
+  // the SEQUENCE from updateExamSequences) replaces the earlier import
+  function generateExamUid(exam) {
+    const slug = value => (value || 'x').toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    return `${slug(exam.code)}-${slug(exam.term)}-exam@concordiasync`;
+  }
+
+  function formatICSDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}${month}${day}`;
+  }
+
+  function formatICSDateTime(date, time) {
+    const [hours, minutes] = (time || '00:00').split(':');
+    return `${formatICSDate(date)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+  }
+
+  function formatICSTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function escapeICSText(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text.trim()
+      .substring(0, 1000)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function foldICSLine(line) {
+    // RFC 5545 limits content lines to 75 octets, continuation lines start with a space
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > (chunks.length ? 74 : 75)) {
+        chunks.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+  }
+
+  function sanitizeCsvField(text, maxLength = CSV_FIELD_LENGTH) {
+    if (!text || typeof text !== 'string') return '';
+    return text.trim()
+      .replace(/[\r\n\t]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .substring(0, maxLength);
+  }
+
+  // Google Calendar's CSV import reads dates as MM/DD/YYYY
+  function formatCsvDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${month}/${day}/${date.getFullYear()}`;
+  }
+
+  return {
+    ICS_TIMEZONE,
+    ICS_VTIMEZONE,
+    resolveCalendar,
+    isClosed,
+    getMakeupDay,
+    getMeetingRange,
+    getMeetingPattern,
+    getMeetingDates,
+    buildEventSeries,
+    generateCSV,
+    generateICS,
+    updateSequences,
+    updateExamSequences,
+    getRecurrenceRules,
+    buildGoogleEvent,
+    buildExamGoogleEvent,
+    generateEventUid,
+    generateExamUid,
+    formatICSDate,
+    formatICSDateTime,
+    escapeICSText,
+    foldICSLine
+  };
+});
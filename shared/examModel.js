@@ -0,0 +1,186 @@
+// Final exams: normalizing entries read off the exam schedule page and the
+// checks students can request accommodations for (two exams at the same time,
+// three exams within 24 hours). Shared by the extension and the backend, like
+// scheduleModel.js.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ConcordiaExamModel = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Three exams whose starts fall within this window count as "three in 24 hours"
+  const THREE_EXAMS_WINDOW_MINUTES = 24 * 60;
+
+  const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+  function clean(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().substring(0, maxLength) : '';
+  }
+
+  function parseTime(value) {
+    const match = TIME_PATTERN.exec(value || '');
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  function isValidDate(value) {
+    const match = DATE_PATTERN.exec(value || '');
+    if (!match) return false;
+
+    const date = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+    return date.toISOString().startsWith(value);
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(value => parseInt(value, 10));
+    return hours * 60 + minutes;
+  }
+
+  // Wall-clock minutes since the epoch; daylight saving is ignored, which is an
+  // hour at most and only matters for the 24-hour window around a switch
+  function getStartMinutes(exam) {
+    return Date.parse(`${exam.date}T00:00:00Z`) / 60000 + toMinutes(exam.startTime);
+  }
+
+  function getEndMinutes(exam) {
+    return Date.parse(`${exam.date}T00:00:00Z`) / 60000 + toMinutes(exam.endTime);
+  }
+
+  // Returns the exam with a canonical code, times and location, or an `error`
+  // explaining why the entry cannot be used
+  function normalizeExam(entry) {
+    const codeMatch = clean(entry.code, 20).toUpperCase().match(/^([A-Z]{3,4})\s*(\d{3,4}[A-Z]?)$/);
+    const startTime = parseTime(entry.startTime);
+    const endTime = parseTime(entry.endTime);
+    const code = codeMatch ? `${codeMatch[1]} ${codeMatch[2]}` : clean(entry.code, 20);
+
+    if (!codeMatch) return { code, error: 'Not a course code' };
+    if (!isValidDate(entry.date)) return { code, error: 'Missing or invalid exam date' };
+    if (!startTime || !endTime) return { code, error: 'Missing or invalid exam time' };
+    if (toMinutes(endTime) <= toMinutes(startTime)) return { code, error: 'Exam ends before it starts' };
+
+    const building = clean(entry.building, 50);
+    const room = clean(entry.room, 50);
+
+    return {
+      code,
+      section: clean(entry.section, 10),
+      title: clean(entry.title, 200),
+      term: clean(entry.term, 5),
+      date: entry.date,
+      startTime,
+      endTime,
+      building,
+      room,
+      location: clean(entry.location, 100) || [building, room].filter(Boolean).join(' ') || 'TBA',
+      row: clean(entry.row, 10),
+      seat: clean(entry.seat, 10)
+    };
+  }
+
+  function getSeatLabel(exam) {
+    return [exam.row && `Row ${exam.row}`, exam.seat && `Seat ${exam.seat}`].filter(Boolean).join(', ');
+  }
+
+  // Calendar subject and description, in the same "CODE - ..." form as class events
+  function describeExam(exam) {
+    const seat = getSeatLabel(exam);
+    return {
+      subject: `${exam.code} - Final Exam`,
+      description: [`${exam.code}${exam.title ? ` ${exam.title}` : ''} final exam`, `Location: ${exam.location}`, seat]
+        .filter(Boolean)
+        .join(' | ')
+    };
+  }
+
+  function summarizeExam(exam) {
+    return {
+      code: exam.code,
+      date: exam.date,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      location: exam.location
+    };
+  }
+
+  function formatExamTime(exam) {
+    return `${exam.date} ${exam.startTime}-${exam.endTime}`;
+  }
+
+  function sortExams(exams) {
+    return [...exams].sort((a, b) => getStartMinutes(a) - getStartMinutes(b) || a.code.localeCompare(b.code));
+  }
+
+  function detectExamConflicts(exams) {
+    const sorted = sortExams(exams);
+    const conflicts = [];
+
+    sorted.forEach((first, index) => {
+      sorted.slice(index + 1).forEach(second => {
+        const overlapMinutes = Math.min(getEndMinutes(first), getEndMinutes(second)) - getStartMinutes(second);
+        if (overlapMinutes <= 0) return;
+
+        conflicts.push({
+          type: 'exam_overlap',
+          severity: 'error',
+          date: first.date,
+          minutes: overlapMinutes,
+          exams: [summarizeExam(first), summarizeExam(second)],
+          message: `${first.code} and ${second.code} exams overlap on ${first.date} by ${overlapMinutes} min`
+        });
+      });
+    });
+
+    for (let index = 0; index + 2 < sorted.length; index++) {
+      const group = sorted.slice(index, index + 3);
+      if (getStartMinutes(group[2]) - getStartMinutes(group[0]) > THREE_EXAMS_WINDOW_MINUTES) continue;
+
+      conflicts.push({
+        type: 'three_in_24h',
+        severity: 'warning',
+        date: group[0].date,
+        exams: group.map(summarizeExam),
+        message: `Three exams within 24 hours: ${group.map(exam => `${exam.code} (${formatExamTime(exam)})`).join(', ')}`
+      });
+    }
+
+    return conflicts;
+  }
+
+  // Normalizes every entry, drops duplicates (the page can list a cross-listed
+  // exam twice) and checks the rest for conflicts
+  function parseExams(entries) {
+    const exams = [];
+    const rejected = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+      const exam = normalizeExam(entry || {});
+      if (exam.error) {
+        rejected.push({ index, code: exam.code, message: exam.error });
+        return;
+      }
+
+      const key = [exam.code, exam.date, exam.startTime].join('|');
+      if (seen.has(key)) return;
+      seen.add(key);
+      exams.push({ ...exam, ...describeExam(exam) });
+    });
+
+    const sorted = sortExams(exams);
+    return { exams: sorted, conflicts: detectExamConflicts(sorted), rejected };
+  }
+
+  return {
+    THREE_EXAMS_WINDOW_MINUTES,
+    normalizeExam,
+    describeExam,
+    getSeatLabel,
+    detectExamConflicts,
+    parseExams
+  };
+});
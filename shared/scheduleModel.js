@@ -0,0 +1,214 @@
+// Term codes, weekday indices and their conversions, shared by the extension
+// (loaded as a plain script) and the backend (required as a CommonJS module).
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ConcordiaScheduleModel = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Term code = four-digit start year + season suffix, e.g. "20242" is Fall 2024
+  // and "20243" is the Fall 2024 / Winter 2025 two-term session.
+  const TERM_SEASONS = Object.freeze({
+    WINTER: '1',
+    FALL: '2',
+    FALL_WINTER: '3',
+    SUMMER: '4'
+  });
+
+  const TERM_NAMES = Object.freeze({
+    '1': 'Winter',
+    '2': 'Fall',
+    '3': 'Fall/Winter',
+    '4': 'Summer'
+  });
+
+  const TERM_PATTERN = /^\d{4}[1-4]$/;
+
+  // Schedule weekdays start on Monday. Date.getDay() starts on Sunday, so always
+  // convert with weekdayOf() / toJsDay() instead of comparing the two directly.
+  const WEEKDAYS = Object.freeze({
+    MONDAY: 0,
+    TUESDAY: 1,
+    WEDNESDAY: 2,
+    THURSDAY: 3,
+    FRIDAY: 4,
+    SATURDAY: 5,
+    SUNDAY: 6
+  });
+
+  const WEEKDAY_NAMES = Object.freeze(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+  const WEEKDAY_SHORT_NAMES = Object.freeze(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+  const WEEKDAY_CODES = Object.freeze(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']);
+
+  // Day flag fields of the Open Data schedule feed, in weekday order
+  const OPEN_DATA_DAY_FIELDS = Object.freeze(['modays', 'tuesdays', 'wednesdays', 'thursdays', 'fridays', 'saturdays', 'sundays']);
+
+  const DAY_TOKENS = {
+    'Monday': 0, 'Tuesday': 1, 'Wednesday': 2, 'Thursday': 3, 'Friday': 4, 'Saturday': 5, 'Sunday': 6,
+    'Mo': 0, 'Tu': 1, 'We': 2, 'Th': 3, 'Fr': 4, 'Sa': 5, 'Su': 6,
+    'M': 0, 'T': 1, 'W': 2, 'R': 3, 'F': 4, 'S': 5, 'U': 6
+  };
+
+  const DAY_TOKEN_PATTERN = /Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday|Mo|Tu|We|Th|Fr|Sa|Su|M|T|W|R|F|S|U/g;
+
+  function isValidTerm(term) {
+    return typeof term === 'string' && TERM_PATTERN.test(term);
+  }
+
+  function parseTerm(term) {
+    if (!isValidTerm(term)) return null;
+
+    const season = term.charAt(4);
+    return {
+      year: parseInt(term.substring(0, 4), 10),
+      season,
+      name: TERM_NAMES[season]
+    };
+  }
+
+  function formatTerm(year, season) {
+    return `${year}${season}`;
+  }
+
+  function getTermLabel(term) {
+    const parsed = parseTerm(term);
+    if (!parsed) return '';
+
+    if (parsed.season === TERM_SEASONS.FALL_WINTER) {
+      return `Fall/Winter ${parsed.year}-${parsed.year + 1}`;
+    }
+    return `${parsed.name} ${parsed.year}`;
+  }
+
+  // Reads labels such as "Fall 2024", "Winter 2025" or "Fall/Winter 2024-2025"
+  function termFromLabel(label) {
+    if (!label || typeof label !== 'string') return null;
+
+    const match = label.match(/(Fall\s*\/\s*Winter|Fall|Winter|Summer)\s+(\d{4})/i);
+    if (!match) return null;
+
+    const name = match[1].replace(/\s+/g, '').toLowerCase();
+    const year = parseInt(match[2], 10);
+    const seasons = {
+      'fall/winter': TERM_SEASONS.FALL_WINTER,
+      'fall': TERM_SEASONS.FALL,
+      'winter': TERM_SEASONS.WINTER,
+      'summer': TERM_SEASONS.SUMMER
+    };
+
+    return formatTerm(year, seasons[name]);
+  }
+
+  function getCurrentTerm(now = new Date()) {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+
+    if (month >= 8) { // September onwards
+      return formatTerm(year, TERM_SEASONS.FALL);
+    } else if (month >= 4) { // May onwards
+      return formatTerm(year, TERM_SEASONS.SUMMER);
+    }
+    return formatTerm(year, TERM_SEASONS.WINTER);
+  }
+
+  // A Fall/Winter session is taught across the Fall term and the following Winter term
+  function getComponentTerms(term) {
+    const parsed = parseTerm(term);
+    if (!parsed) return [];
+
+    if (parsed.season === TERM_SEASONS.FALL_WINTER) {
+      return [
+        formatTerm(parsed.year, TERM_SEASONS.FALL),
+        formatTerm(parsed.year + 1, TERM_SEASONS.WINTER)
+      ];
+    }
+    return [term];
+  }
+
+  // The two-term session a Fall or Winter term is part of (Fall 2024 and
+  // Winter 2025 both belong to "20243")
+  function getFallWinterTerm(term) {
+    const parsed = parseTerm(term);
+    if (!parsed) return null;
+
+    if (parsed.season === TERM_SEASONS.FALL) return formatTerm(parsed.year, TERM_SEASONS.FALL_WINTER);
+    if (parsed.season === TERM_SEASONS.WINTER) return formatTerm(parsed.year - 1, TERM_SEASONS.FALL_WINTER);
+    return null;
+  }
+
+  function fromJsDay(jsDay) {
+    return (jsDay + 6) % 7;
+  }
+
+  function toJsDay(weekday) {
+    return (weekday + 1) % 7;
+  }
+
+  function weekdayOf(date) {
+    return fromJsDay(date.getDay());
+  }
+
+  function isValidWeekday(weekday) {
+    return Number.isInteger(weekday) && weekday >= WEEKDAYS.MONDAY && weekday <= WEEKDAYS.SUNDAY;
+  }
+
+  // Accepts "MoWe", "TuTh", "MWF", "TR" or full day names. Pass the days part
+  // only: the single-letter codes would also match the "M" of "10:15AM".
+  function parseWeekdays(dayString) {
+    if (!dayString || typeof dayString !== 'string') return [];
+
+    const days = [];
+    const matches = dayString.match(DAY_TOKEN_PATTERN) || [];
+
+    matches.forEach(token => {
+      const day = DAY_TOKENS[token];
+      if (day !== undefined && !days.includes(day)) {
+        days.push(day);
+      }
+    });
+
+    return days.sort((a, b) => a - b);
+  }
+
+  function weekdaysFromOpenData(item) {
+    return OPEN_DATA_DAY_FIELDS
+      .map((field, weekday) => (item && item[field] === 'Y' ? weekday : -1))
+      .filter(weekday => weekday !== -1);
+  }
+
+  function getFirstWeekdayOccurrence(startDate, weekday) {
+    const date = new Date(startDate);
+    const daysAhead = (weekday - weekdayOf(date) + 7) % 7;
+    date.setDate(date.getDate() + daysAhead);
+    return date;
+  }
+
+  return {
+    TERM_SEASONS,
+    TERM_NAMES,
+    TERM_PATTERN,
+    WEEKDAYS,
+    WEEKDAY_NAMES,
+    WEEKDAY_SHORT_NAMES,
+    WEEKDAY_CODES,
+    OPEN_DATA_DAY_FIELDS,
+    isValidTerm,
+    parseTerm,
+    formatTerm,
+    getTermLabel,
+    termFromLabel,
+    getCurrentTerm,
+    getComponentTerms,
+    getFallWinterTerm,
+    fromJsDay,
+    toJsDay,
+    weekdayOf,
+    isValidWeekday,
+    parseWeekdays,
+    weekdaysFromOpenData,
+    getFirstWeekdayOccurrence
+  };
+});